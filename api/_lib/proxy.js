@@ -0,0 +1,232 @@
+// api/_lib/proxy.js
+// Shared handler for the Vercel functions that forward to the NewsGlobe backend.
+// Upstream comes from env; query params are whitelisted and checked per endpoint;
+// upstream failures come back as small JSON errors the frontend can show. Each
+// function also rate-limits per client IP and can cache successful GETs briefly.
+
+import { clientKey, createRateLimiter, createResponseCache, normalizedKey } from "./rateLimit.js";
+
+const DEFAULT_UPSTREAM = "https://manojseq-newsglobe-backend.hf.space";
+const DEFAULT_TIMEOUT_MS = 25000; // below Vercel's function limit, above a Space cold start
+const USER_AGENT = "NewsGlobe/Proxy";
+const MAX_URL_LENGTH = 2048;
+const DEFAULT_MAX_BODY_BYTES = 16 * 1024;
+
+// ---------- Config ----------
+export function upstreamBase() {
+  return (process.env.NEWSGLOBE_UPSTREAM || DEFAULT_UPSTREAM).replace(/\/+$/, "");
+}
+
+function upstreamTimeoutMs() {
+  const n = Number(process.env.NEWSGLOBE_UPSTREAM_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+// ---------- Query params ----------
+const MAX_PARAM_LENGTH = 500;
+
+const text = (v) => v.length <= MAX_PARAM_LENGTH;
+const intIn = (min, max) => (v) => /^\d+$/.test(v) && Number(v) >= min && Number(v) <= max;
+const oneOf = (...values) => (v) => values.includes(v);
+const isoDate = (v) => text(v) && !Number.isNaN(Date.parse(v));
+const langCode = (v) => /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(v);
+const token = (v) => /^[\w.:-]{1,200}$/.test(v);
+
+// Filters every endpoint accepts (what buildCommonParams sends)
+const FILTER_PARAMS = {
+  q: text,
+  category: (v) => /^[\w -]{0,50}$/.test(v),
+  language: langCode,
+  start: isoDate,
+  end: isoDate,
+  translate: oneOf("true", "false"),
+  target_lang: langCode,
+  min_countries: intIn(1, 500),
+  min_articles: intIn(1, 10000),
+  speed: oneOf("fast", "balanced", "thorough"),
+};
+
+export const ENDPOINT_PARAMS = {
+  events: FILTER_PARAMS,
+  news: {
+    ...FILTER_PARAMS,
+    cache_key: token,
+    page_size: intIn(1, 500),
+    page: intIn(1, 10000),
+    cursor: (v) => text(v) && /^[\w.:=+/-]+$/.test(v),
+  },
+  event: { ...FILTER_PARAMS, cache_key: token, max_samples: intIn(0, 100) },
+  stream: FILTER_PARAMS,
+};
+
+export const EVENT_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Keep only the params `rules` knows, dropping empty ones. Returns
+ * `{ params: URLSearchParams }` or `{ error: { param, message } }` for the first bad value.
+ */
+export function pickParams(query, rules) {
+  const params = new URLSearchParams();
+  for (const [key, raw] of Object.entries(query || {})) {
+    const check = rules[key];
+    if (!check) continue; // unknown params never reach the backend
+    const value = String(Array.isArray(raw) ? raw[raw.length - 1] : raw ?? "").trim();
+    if (value === "") continue;
+    if (!check(value)) return { error: { param: key, message: `Invalid value for "${key}".` } };
+    params.set(key, value);
+  }
+  return { params };
+}
+
+// ---------- Responses ----------
+export function sendError(res, status, error, message, extra = {}) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.status(status).send(JSON.stringify({ error, message, ...extra }));
+}
+
+function rateLimited(res, retryAfterMs) {
+  const secs = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.setHeader("Retry-After", String(secs));
+  sendError(res, 429, "rate_limited", "Too many requests. Try again shortly.", { retry_after_s: secs });
+}
+
+// Vercel has already parsed the body; Content-Length catches oversized ones before we re-serialize
+function bodyBytes(req) {
+  const declared = Number(req.headers?.["content-length"]);
+  if (Number.isFinite(declared)) return declared;
+  if (req.body == null) return 0;
+  return Buffer.byteLength(typeof req.body === "string" ? req.body : JSON.stringify(req.body));
+}
+
+function methodNotAllowed(res, methods) {
+  res.setHeader("Allow", methods.join(", "));
+  sendError(res, 405, "method_not_allowed", `Use ${methods.join(" or ")}.`);
+}
+
+// Upstream error bodies are passed on when they are JSON; anything else (HTML error
+// pages from the Space, empty bodies) becomes a generic upstream_error.
+function forwardUpstreamError(res, status, contentType, body) {
+  if (/json/i.test(contentType)) {
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Cache-Control", "no-store");
+    res.status(status).send(body);
+    return;
+  }
+  sendError(res, status >= 500 ? 502 : status, "upstream_error", `Backend responded with HTTP ${status}.`, {
+    upstream_status: status,
+  });
+}
+
+// ---------- Handler ----------
+async function pipeBody(upstream, res) {
+  res.flushHeaders?.();
+  for await (const chunk of upstream.body) res.write(chunk);
+  res.end();
+}
+
+/**
+ * Build a Vercel handler forwarding to `path` (a string, or a function of `req` for
+ * routes like /event/:id that returns null when the path params are invalid).
+ * Options: `methods` (default GET), `params` (whitelist rules), `cacheControl` for
+ * successful responses, `body(req)` for the upstream request body, and `stream` to
+ * pass the response through as it arrives (server-sent events) instead of buffering it.
+ * Limits: `rateLimit` (`{ burst, perMinute }` per client IP, or false), `cacheTtlMs`
+ * (cache successful GETs by normalized query; 0 = off) and `maxBodyBytes`.
+ */
+export function createProxy({
+  path,
+  methods = ["GET"],
+  params: rules = {},
+  cacheControl = "no-store",
+  body,
+  stream = false,
+  rateLimit = { burst: 30, perMinute: 60 },
+  cacheTtlMs = 0,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  fetchImpl = (...args) => fetch(...args),
+  now = Date.now,
+} = {}) {
+  const limiter = rateLimit ? createRateLimiter({ ...rateLimit, now }) : null;
+  const cache = cacheTtlMs > 0 && !stream ? createResponseCache({ ttlMs: cacheTtlMs, now }) : null;
+
+  return async function handler(req, res) {
+    if (!methods.includes(req.method)) return methodNotAllowed(res, methods);
+
+    if (limiter) {
+      const { ok, retryAfterMs } = limiter.take(clientKey(req));
+      if (!ok) return rateLimited(res, retryAfterMs);
+    }
+    if ((req.url || "").length > MAX_URL_LENGTH) return sendError(res, 414, "uri_too_long", "Query string is too long.");
+    if (body && bodyBytes(req) > maxBodyBytes) return sendError(res, 413, "payload_too_large", "Request body is too large.");
+
+    const upstreamPath = typeof path === "function" ? path(req) : path;
+    if (!upstreamPath) return sendError(res, 404, "not_found", "Unknown resource.");
+
+    const { params, error } = pickParams(req.query, rules);
+    if (error) return sendError(res, 400, "invalid_param", error.message, { param: error.param });
+
+    const cacheKey = cache && req.method === "GET" ? normalizedKey(upstreamPath, params) : null;
+    const hit = cacheKey && cache.get(cacheKey);
+    if (hit) {
+      res.setHeader("Content-Type", hit.contentType);
+      res.setHeader("Cache-Control", cacheControl);
+      res.setHeader("X-Proxy-Cache", "HIT");
+      return res.status(hit.status).send(hit.text);
+    }
+
+    const qs = params.toString();
+    const url = `${upstreamBase()}${upstreamPath}${qs ? `?${qs}` : ""}`;
+    const timeoutMs = upstreamTimeoutMs();
+
+    // The timeout covers the whole answer, body included; a stream only has to send its headers in time
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    res.on("close", () => controller.abort()); // client gone (or done): stop the upstream request
+
+    let r;
+    let payload;
+    try {
+      r = await fetchImpl(url, {
+        method: req.method,
+        headers: {
+          "User-Agent": USER_AGENT,
+          Accept: stream ? "text/event-stream" : "application/json",
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? body(req) : undefined,
+        signal: controller.signal,
+      });
+      if (!(stream && r.ok && r.body)) payload = await r.text();
+    } catch (err) {
+      if (err.name === "AbortError") {
+        return sendError(res, 504, "upstream_timeout", `Backend did not answer within ${Math.round(timeoutMs / 1000)} s.`);
+      }
+      console.error(`[proxy] ${req.method} ${upstreamPath} failed:`, err);
+      return sendError(res, 502, "upstream_unreachable", "Backend could not be reached.");
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const contentType = r.headers.get("content-type") || "application/json; charset=utf-8";
+    const retryAfter = r.headers.get("retry-after");
+    if (retryAfter) res.setHeader("Retry-After", retryAfter);
+
+    if (!r.ok) return forwardUpstreamError(res, r.status, contentType, payload);
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Cache-Control", cacheControl);
+    res.status(r.status);
+    if (stream && r.body) {
+      return pipeBody(r, res).catch((err) => {
+        if (err.name !== "AbortError") console.error(`[proxy] ${upstreamPath} stream ended:`, err);
+        res.end();
+      });
+    }
+    if (cacheKey) {
+      cache.set(cacheKey, { status: r.status, contentType, text: payload });
+      res.setHeader("X-Proxy-Cache", "MISS");
+    }
+    res.send(payload);
+  };
+}
@@ -0,0 +1,121 @@
+// Proxy limits against a local upstream stub: node --test api/
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { EventEmitter } from "node:events";
+import { createProxy, ENDPOINT_PARAMS } from "./proxy.js";
+import { createRateLimiter, createResponseCache, normalizedKey } from "./rateLimit.js";
+
+let upstream;
+let hits = [];
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (req.url.startsWith("/slow")) return; // never answers
+    if (req.url.startsWith("/stall")) {
+      // headers, part of the body, then nothing
+      res.writeHead(req.url.startsWith("/stall-error") ? 503 : 200, { "Content-Type": "application/json" });
+      return res.write('{"items":[');
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ url: req.url }));
+  });
+  await new Promise((r) => upstream.listen(0, r));
+  process.env.NEWSGLOBE_UPSTREAM = `http://127.0.0.1:${upstream.address().port}`;
+  process.env.NEWSGLOBE_UPSTREAM_TIMEOUT_MS = "300";
+});
+
+after(() => upstream.close());
+
+// Just enough of Vercel's req/res for the handler
+function call(handler, { method = "GET", query = {}, ip = "1.1.1.1", headers = {}, body } = {}) {
+  const req = { method, query, url: `/x?${new URLSearchParams(query)}`, headers: { "x-forwarded-for": ip, ...headers }, body };
+  const res = new EventEmitter();
+  res.headers = {};
+  res.setHeader = (k, v) => (res.headers[k.toLowerCase()] = v);
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  return new Promise((resolve) => {
+    res.send = (text) => resolve({ status: res.statusCode, headers: res.headers, json: JSON.parse(text) });
+    handler(req, res);
+  });
+}
+
+test("token bucket allows a burst, then refills over time", () => {
+  let t = 0;
+  const limiter = createRateLimiter({ burst: 2, perMinute: 60, now: () => t });
+  assert.equal(limiter.take("a").ok, true);
+  assert.equal(limiter.take("a").ok, true);
+  const denied = limiter.take("a");
+  assert.equal(denied.ok, false);
+  assert.equal(denied.retryAfterMs, 1000);
+  assert.equal(limiter.take("b").ok, true); // other clients unaffected
+  t = 1000;
+  assert.equal(limiter.take("a").ok, true);
+});
+
+test("response cache expires entries and evicts least recently used", () => {
+  let t = 0;
+  const cache = createResponseCache({ ttlMs: 100, maxEntries: 2, now: () => t });
+  cache.set("a", 1);
+  cache.set("b", 2);
+  cache.get("a");
+  cache.set("c", 3);
+  assert.equal(cache.get("b"), undefined);
+  assert.equal(cache.get("a"), 1);
+  t = 150;
+  assert.equal(cache.get("a"), undefined);
+  assert.equal(normalizedKey("/news", new URLSearchParams("b=2&a=1")), normalizedKey("/news", new URLSearchParams("a=1&b=2")));
+});
+
+test("returns 429 with Retry-After once a client's bucket is empty", async () => {
+  const handler = createProxy({ path: "/events", params: ENDPOINT_PARAMS.events, rateLimit: { burst: 2, perMinute: 6 } });
+  assert.equal((await call(handler)).status, 200);
+  assert.equal((await call(handler)).status, 200);
+  const limited = await call(handler);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers["retry-after"], "10");
+  assert.equal(limited.json.error, "rate_limited");
+  assert.equal((await call(handler, { ip: "2.2.2.2" })).status, 200);
+});
+
+test("caches GETs by normalized query and drops unknown params", async () => {
+  hits = [];
+  const handler = createProxy({ path: "/news", params: ENDPOINT_PARAMS.news, rateLimit: false, cacheTtlMs: 1000 });
+  const first = await call(handler, { query: { q: "quake", page_size: "10", junk: "x" } });
+  const second = await call(handler, { query: { page_size: "10", q: "quake" } });
+  assert.equal(first.headers["x-proxy-cache"], "MISS");
+  assert.equal(second.headers["x-proxy-cache"], "HIT");
+  assert.deepEqual(hits, ["/news?q=quake&page_size=10"]);
+});
+
+test("rejects oversized bodies and bad params before calling upstream", async () => {
+  hits = [];
+  const metric = createProxy({ path: "/client-metric", methods: ["POST"], maxBodyBytes: 10, body: (req) => JSON.stringify(req.body) });
+  const big = await call(metric, { method: "POST", body: { name: "x".repeat(50) }, headers: { "content-length": "60" } });
+  assert.equal(big.status, 413);
+
+  const news = createProxy({ path: "/news", params: ENDPOINT_PARAMS.news });
+  const bad = await call(news, { query: { page_size: "lots" } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.json.param, "page_size");
+  assert.deepEqual(hits, []);
+});
+
+test("maps an upstream that never answers to 504", async () => {
+  const handler = createProxy({ path: "/slow" });
+  const res = await call(handler);
+  assert.equal(res.status, 504);
+  assert.equal(res.json.error, "upstream_timeout");
+});
+
+test("maps an upstream that stalls after its headers to 504", async () => {
+  for (const path of ["/stall", "/stall-error"]) {
+    const res = await call(createProxy({ path, rateLimit: false }));
+    assert.equal(res.status, 504, path);
+    assert.equal(res.json.error, "upstream_timeout");
+  }
+});
@@ -0,0 +1,91 @@
+// api/_lib/rateLimit.js
+// Per-client token buckets and a small TTL/LRU response cache for the proxy.
+// Both live in function memory, so limits are per warm instance, not global.
+
+// ---------- Token bucket ----------
+/**
+ * `burst` requests at once, refilled at `perMinute`. `take(key)` returns
+ * `{ ok, remaining, retryAfterMs }`. Full, idle buckets are dropped past `maxKeys`.
+ */
+export function createRateLimiter({ burst = 30, perMinute = 60, maxKeys = 5000, now = Date.now } = {}) {
+  const buckets = new Map(); // key → { tokens, at }
+  const perMs = perMinute / 60000;
+
+  const refill = (b, t) => {
+    b.tokens = Math.min(burst, b.tokens + (t - b.at) * perMs);
+    b.at = t;
+  };
+
+  function prune(t) {
+    for (const [key, b] of buckets) {
+      refill(b, t);
+      if (b.tokens >= burst) buckets.delete(key);
+    }
+    // Still too many active clients: forget the oldest ones
+    for (const key of buckets.keys()) {
+      if (buckets.size <= maxKeys) break;
+      buckets.delete(key);
+    }
+  }
+
+  return {
+    take(key, cost = 1) {
+      const t = now();
+      let b = buckets.get(key);
+      if (!b) {
+        if (buckets.size >= maxKeys) prune(t);
+        b = { tokens: burst, at: t };
+        buckets.set(key, b);
+      }
+      refill(b, t);
+      if (b.tokens >= cost) {
+        b.tokens -= cost;
+        return { ok: true, remaining: Math.floor(b.tokens), retryAfterMs: 0 };
+      }
+      return { ok: false, remaining: 0, retryAfterMs: Math.ceil((cost - b.tokens) / perMs) };
+    },
+    get size() {
+      return buckets.size;
+    },
+  };
+}
+
+/** Client address as Vercel reports it (first X-Forwarded-For hop), else the socket's. */
+export function clientKey(req) {
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.headers?.["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+// ---------- Response cache ----------
+/** Cache key for a path + query that ignores param order. */
+export function normalizedKey(path, params) {
+  const sorted = [...params].sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv));
+  return `${path}?${new URLSearchParams(sorted)}`;
+}
+
+/** Map-backed cache: entries expire after `ttlMs`; the least recently used go first past `maxEntries`. */
+export function createResponseCache({ ttlMs = 30000, maxEntries = 200, now = Date.now } = {}) {
+  const entries = new Map(); // key → { value, expires }
+
+  return {
+    get(key) {
+      const e = entries.get(key);
+      if (!e) return undefined;
+      if (e.expires <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key); // re-insert: most recently used last
+      entries.set(key, e);
+      return e.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expires: now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
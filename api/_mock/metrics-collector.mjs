@@ -0,0 +1,93 @@
+// api/_mock/metrics-collector.mjs
+// Local sink for client metrics: accepts the batches src/metrics.js sends to
+// POST /client-metric and appends one JSON line per metric to a file.
+//
+//   node api/_mock/metrics-collector.mjs                        # http://localhost:8789, ./metrics.jsonl
+//   MOCK_METRICS_PORT=9001 MOCK_METRICS_FILE=/tmp/m.jsonl node api/_mock/metrics-collector.mjs
+//
+// Point the app at it with REACT_APP_METRICS_URL=http://localhost:8789/client-metric.
+// api/_mock/server.mjs uses the same handler for its /client-metric.
+
+import http from "node:http";
+import { appendFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const PORT = Number(process.env.MOCK_METRICS_PORT) || 8789;
+const FILE = resolve(process.env.MOCK_METRICS_FILE || "metrics.jsonl");
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("payload too large"), { status: 413 }));
+        req.destroy();
+      } else chunks.push(c);
+    });
+    req.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/** Rows to store for a request body: a batch `{ session_id, build, metrics: [...] }` or a single metric. */
+export function metricRows(body, receivedAt = new Date().toISOString()) {
+  const metrics = Array.isArray(body?.metrics) ? body.metrics : body?.name ? [body] : [];
+  return metrics.map((m) => ({
+    received_at: receivedAt,
+    session_id: body.session_id ?? null,
+    build: body.build ?? null,
+    ...m,
+  }));
+}
+
+/** Handle POST /client-metric (beacons arrive as text/plain, so the body is parsed regardless of type). */
+export async function handleMetrics(req, res) {
+  let rows;
+  try {
+    rows = metricRows(JSON.parse(await readBody(req)));
+  } catch (err) {
+    res.writeHead(err.status || 400, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: err.status ? "payload_too_large" : "invalid_json" }));
+    return;
+  }
+  if (rows.length) {
+    await appendFile(FILE, rows.map((r) => JSON.stringify(r)).join("\n") + "\n");
+    console.log(`[metrics] +${rows.length} → ${FILE}  (${rows.map((r) => r.name).join(", ")})`);
+  }
+  res.writeHead(204);
+  res.end();
+}
+
+function serve() {
+  const server = http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== "/client-metric" || req.method !== "POST") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "not_found" }));
+      return;
+    }
+    handleMetrics(req, res).catch((err) => {
+      console.error("[metrics]", err);
+      if (!res.headersSent) res.writeHead(500).end();
+    });
+  });
+
+  server.listen(PORT, () => {
+    console.log(`[metrics] collecting on http://localhost:${PORT}/client-metric → ${FILE}`);
+  });
+}
+
+// Only listen when run directly (not when imported by the mock backend)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) serve();
@@ -0,0 +1,264 @@
+// api/_mock/server.mjs
+// Local mock of the NewsGlobe backend for offline development: /events, /news,
+// /event/:id answered from api/_mock/fixtures/news.json, metrics appended to a JSONL
+// file (see metrics-collector.mjs) and the push stream at /stream (see stream-server.mjs).
+//
+//   node api/_mock/server.mjs                     # http://localhost:8788
+//   MOCK_API_LATENCY_MS=800 MOCK_API_FAIL_RATE=0.2 node api/_mock/server.mjs
+//
+// Point the app at it with REACT_APP_API_BASE=http://localhost:8788.
+
+import http from "node:http";
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { handleMetrics } from "./metrics-collector.mjs";
+import { handleStream } from "./stream-server.mjs";
+
+const PORT = Number(process.env.MOCK_API_PORT) || 8788;
+const LATENCY_MS = Number(process.env.MOCK_API_LATENCY_MS ?? 150); // per response, ±50%
+const FAIL_RATE = Number(process.env.MOCK_API_FAIL_RATE) || 0; // share of GETs answered 503
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const FIXTURE = new URL("./fixtures/news.json", import.meta.url);
+
+const fixture = JSON.parse(await readFile(FIXTURE, "utf8"));
+const EVENTS = new Map(fixture.events.map((e) => [e.event_id, e]));
+
+// Fixture ages are relative to start-up so "last hour" / "last 24 hours" always find rows
+const STARTED = Date.now();
+const ARTICLES = fixture.articles.map(({ age_minutes, ...a }) => ({
+  ...a,
+  published_at: new Date(STARTED - age_minutes * 60000).toISOString(),
+}));
+
+// ---------- Filters ----------
+const FILTER_KEYS = ["q", "category", "language", "start", "end", "translate", "target_lang", "min_countries", "min_articles"];
+
+// cache_key → the filters /events was called with, so /news and /event/:id see the same set
+const cacheKeys = new Map();
+
+function filtersFrom(params) {
+  const stored = cacheKeys.get(params.get("cache_key"));
+  const get = (k) => (stored ? stored[k] : params.get(k)) || "";
+  const posInt = (k, fallback) => {
+    const n = parseInt(get(k), 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const time = (k) => {
+    const t = Date.parse(get(k));
+    return Number.isNaN(t) ? null : t;
+  };
+  return {
+    q: get("q").trim().toLowerCase(),
+    category: get("category").toLowerCase(),
+    language: get("language").toLowerCase(),
+    start: time("start"),
+    end: time("end"),
+    translateTo: get("translate") === "true" ? get("target_lang").toLowerCase() : "",
+    minCountries: posInt("min_countries", 1),
+    minArticles: posInt("min_articles", 1),
+  };
+}
+
+function cacheKeyFor(params) {
+  const picked = Object.fromEntries(FILTER_KEYS.map((k) => [k, params.get(k) || ""]));
+  const key = `mock-${createHash("sha1").update(JSON.stringify(picked)).digest("hex").slice(0, 12)}`;
+  cacheKeys.set(key, picked);
+  return key;
+}
+
+function matches(a, f) {
+  if (f.category && a.category !== f.category) return false;
+  if (f.language && a.detected_lang !== f.language) return false;
+  const t = Date.parse(a.published_at);
+  if (f.start != null && t < f.start) return false;
+  if (f.end != null && t > f.end) return false;
+  if (f.q) {
+    const keywords = EVENTS.get(a.event_id)?.keywords || [];
+    const text = [a.title, a.title_en, a.description, ...keywords].join(" ").toLowerCase();
+    if (!text.includes(f.q)) return false;
+  }
+  return true;
+}
+
+// Only English translations are in the fixture; other targets leave rows as they are
+function translate(a, to) {
+  const { title_en, ...row } = a;
+  if (!to || a.detected_lang === to || to !== "en" || !title_en) return row;
+  return {
+    ...row,
+    title: title_en,
+    description: `${title_en}.`,
+    original_title: a.title,
+    original_description: a.description,
+    translated: true,
+    translated_from: a.detected_lang,
+    translated_to: to,
+  };
+}
+
+const newestFirst = (a, b) => Date.parse(b.published_at) - Date.parse(a.published_at);
+
+function filteredArticles(f) {
+  return ARTICLES.filter((a) => matches(a, f))
+    .map((a) => translate(a, f.translateTo))
+    .sort(newestFirst);
+}
+
+// ---------- Aggregation ----------
+const SENTIMENT_SCORE = { positive: 1, neutral: 0, negative: -1 };
+const sentimentLabel = (rows) => {
+  const avg = rows.reduce((s, a) => s + (SENTIMENT_SCORE[a.sentiment] ?? 0), 0) / rows.length;
+  return avg > 0.33 ? "positive" : avg < -0.33 ? "negative" : "neutral";
+};
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const k = keyOf(row);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(row);
+  }
+  return groups;
+}
+
+function eventSummary(eventId, rows) {
+  const ev = EVENTS.get(eventId);
+  const times = rows.map((a) => a.published_at).sort();
+  return {
+    event_id: eventId,
+    title: ev.title,
+    keywords: ev.keywords,
+    article_count: rows.length,
+    country_count: new Set(rows.map((a) => a.country_code)).size,
+    first_published_at: times[0],
+    last_published_at: times[times.length - 1],
+  };
+}
+
+function matchingEvents(f) {
+  return [...groupBy(filteredArticles(f), (a) => a.event_id)]
+    .map(([id, rows]) => eventSummary(id, rows))
+    .filter((e) => e.article_count >= f.minArticles && e.country_count >= f.minCountries)
+    .sort((a, b) => b.article_count - a.article_count || b.last_published_at.localeCompare(a.last_published_at));
+}
+
+function countryRows(rows, maxSamples) {
+  return [...groupBy(rows, (a) => a.country_code)].map(([, group]) => {
+    const { country, country_code, lat, lon } = group[0];
+    const sources = [...groupBy(group, (a) => a.source)].sort((a, b) => b[1].length - a[1].length);
+    const oldestFirst = group.slice().reverse();
+    return {
+      country,
+      country_code,
+      lat,
+      lon,
+      count: group.length,
+      avg_sentiment: sentimentLabel(group),
+      top_sources: sources.slice(0, 3).map(([name]) => name),
+      summary: `${group.length} article${group.length === 1 ? "" : "s"} from ${country}, first: “${oldestFirst[0].title}”.`,
+      first_published_at: oldestFirst[0].published_at,
+      samples: maxSamples > 0 ? oldestFirst.slice(0, maxSamples) : oldestFirst,
+    };
+  });
+}
+
+// ---------- Endpoints ----------
+function getEvents(params) {
+  const events = matchingEvents(filtersFrom(params));
+  return { cache_key: cacheKeyFor(params), events, total: events.length };
+}
+
+// page/page_size or an opaque cursor (offset of the next row)
+function getNews(params) {
+  const rows = filteredArticles(filtersFrom(params));
+  const pageSize = Math.min(parseInt(params.get("page_size"), 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const cursor = params.get("cursor");
+  const offset = cursor ? parseInt(cursor.replace(/^o/, ""), 10) || 0 : ((parseInt(params.get("page"), 10) || 1) - 1) * pageSize;
+  const items = rows.slice(offset, offset + pageSize);
+  const hasMore = offset + items.length < rows.length;
+  return {
+    cache_key: params.get("cache_key") || null,
+    items,
+    total: rows.length,
+    page: Math.floor(offset / pageSize) + 1,
+    page_size: pageSize,
+    has_more: hasMore,
+    next_cursor: hasMore ? `o${offset + items.length}` : null,
+  };
+}
+
+function getEvent(id, params) {
+  if (!EVENTS.has(id)) return null;
+  const rows = filteredArticles(filtersFrom(params)).filter((a) => a.event_id === id);
+  // Filters may leave nothing; the event still opens, just without countries
+  const { title, keywords } = EVENTS.get(id);
+  const event = rows.length ? eventSummary(id, rows) : { event_id: id, title, keywords, article_count: 0, country_count: 0 };
+  return { event, countries: countryRows(rows, parseInt(params.get("max_samples"), 10) || 0) };
+}
+
+// ---------- Server ----------
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const jitter = () => (LATENCY_MS > 0 ? LATENCY_MS * (0.5 + Math.random()) : 0);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+async function route(req, res, url, { stream }) {
+  const path = url.pathname.replace(/\/+$/, "") || "/";
+  const params = url.searchParams;
+
+  if (path === "/health") return sendJson(res, 200, { ok: true, articles: ARTICLES.length, events: EVENTS.size });
+  // Events frames come from this backend's /events, so their ids open and their cache_key works
+  if (path === "/stream" && req.method === "GET") return handleStream(req, res, url, { ...stream, events: getEvents });
+
+  if (path === "/client-metric") {
+    if (req.method !== "POST") return sendJson(res, 405, { error: "method_not_allowed" });
+    return handleMetrics(req, res);
+  }
+
+  if (req.method !== "GET") return sendJson(res, 405, { error: "method_not_allowed" });
+  await sleep(jitter());
+  if (FAIL_RATE && Math.random() < FAIL_RATE) return sendJson(res, 503, { error: "mock_failure" });
+
+  if (path === "/events") return sendJson(res, 200, getEvents(params));
+  if (path === "/news") return sendJson(res, 200, getNews(params));
+
+  const m = path.match(/^\/event\/([^/]+)$/);
+  if (m) {
+    const body = getEvent(decodeURIComponent(m[1]), params);
+    return body ? sendJson(res, 200, body) : sendJson(res, 404, { error: "event_not_found" });
+  }
+  return sendJson(res, 404, { error: "not_found" });
+}
+
+/** The mock backend as an http server (not listening). `stream` options go to handleStream. */
+export function createMockServer({ stream } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (url.pathname !== "/stream") console.log(`[mock-api] ${req.method} ${url.pathname}${url.search}`);
+    route(req, res, url, { stream }).catch((err) => {
+      console.error("[mock-api]", err);
+      if (!res.headersSent) sendJson(res, 500, { error: "mock_error" });
+    });
+  });
+}
+
+// Only listen when run directly (not when imported by tests)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockServer().listen(PORT, () => {
+    console.log(`[mock-api] ${ARTICLES.length} articles / ${EVENTS.size} events on http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,61 @@
+// Mock backend: streamed events must open on the same backend. node --test api/
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+
+let server;
+let base;
+
+before(async () => {
+  process.env.MOCK_API_LATENCY_MS = "0";
+  process.env.MOCK_STREAM_SPEED = "1000";
+  const { createMockServer } = await import("./server.mjs");
+  server = createMockServer({ stream: { loop: false } });
+  await new Promise((r) => server.listen(0, r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const readJson = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+
+// Data of every "events" frame in one pass
+async function streamedEvents(query = "") {
+  const text = await (await fetch(`${base}/stream${query}`)).text();
+  return text
+    .split("\n\n")
+    .filter((block) => /^event: events$/m.test(block))
+    .map((block) => JSON.parse(block.match(/^data: (.+)$/m)[1]));
+}
+
+test("stream fixture only names events that exist in news.json", async () => {
+  const news = await readJson("news.json");
+  const known = new Set(news.events.map((e) => e.event_id));
+  const stream = await readJson("stream.json");
+  const ids = stream.frames.filter((f) => f.type === "events").flatMap((f) => f.data.events.map((e) => e.event_id));
+  assert.ok(ids.length > 0);
+  for (const id of ids) assert.ok(known.has(id), `${id} is not in news.json`);
+});
+
+test("every streamed event id resolves with the streamed cache_key", async () => {
+  const frames = await streamedEvents();
+  assert.ok(frames.length > 0);
+  for (const { cache_key: key, events } of frames) {
+    assert.ok(events.length > 0);
+    for (const { event_id: id } of events) {
+      const res = await fetch(`${base}/event/${encodeURIComponent(id)}?cache_key=${key}`);
+      assert.equal(res.status, 200, `/event/${id}`);
+    }
+    const news = await (await fetch(`${base}/news?cache_key=${key}`)).json();
+    assert.equal(news.cache_key, key);
+    assert.ok(news.items.length > 0);
+  }
+});
+
+test("streamed events follow the stream's filters", async () => {
+  const [all] = await streamedEvents();
+  const [filtered] = await streamedEvents("?q=zzzz-no-match");
+  assert.ok(all.events.length > 0);
+  assert.equal(filtered.events.length, 0);
+  assert.notEqual(filtered.cache_key, all.cache_key);
+});
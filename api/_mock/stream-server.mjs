@@ -0,0 +1,148 @@
+// api/_mock/stream-server.mjs
+// Local mock of the push stream (server-sent events) for offline development.
+// Replays api/_mock/fixtures/stream.json to every client that opens GET /stream.
+// (The leading underscore keeps Vercel from deploying this folder as functions.)
+//
+//   node api/_mock/stream-server.mjs              # http://localhost:8787/stream
+//   MOCK_STREAM_PORT=9000 MOCK_STREAM_SPEED=4 node api/_mock/stream-server.mjs --once
+//
+// With --once the replay ends with a "done" frame; the client closes on it instead of
+// reconnecting (a plain dropped connection would be retried and replay from the start).
+//
+// Point the app at it with REACT_APP_STREAM_URL=http://localhost:8787/stream.
+// api/_mock/server.mjs mounts the same handler at /stream of the mock backend.
+
+import http from "node:http";
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+
+const PORT = Number(process.env.MOCK_STREAM_PORT) || 8787;
+const SPEED = Number(process.env.MOCK_STREAM_SPEED) || 1; // 2 = twice as fast
+const LOOP = !process.argv.includes("--once");
+const HEARTBEAT_MS = 15000;
+const FIXTURE = new URL("./fixtures/stream.json", import.meta.url);
+
+const { frames } = JSON.parse(await readFile(FIXTURE, "utf8"));
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(t);
+      resolve();
+    };
+    const t = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Later loops get fresh ids so the client sees them as new; undated rows get "now"
+function stamp(frame, loop) {
+  if (frame.type !== "articles") return frame.data;
+  const suffix = loop ? `-r${loop}` : "";
+  return {
+    ...frame.data,
+    items: frame.data.items.map((a) => ({
+      ...a,
+      id: `${a.id}${suffix}`,
+      url: `${a.url}${suffix}`,
+      published_at: a.published_at ?? new Date().toISOString(),
+    })),
+  };
+}
+
+const time = (params, k) => {
+  const t = Date.parse(params.get(k) || "");
+  return Number.isNaN(t) ? null : t;
+};
+
+// Same filter params as /news: category, q and the start/end window narrow what gets replayed
+function matches(item, params) {
+  const category = params.get("category");
+  const q = params.get("q")?.toLowerCase();
+  const start = time(params, "start");
+  const end = time(params, "end");
+  const t = Date.parse(item.published_at);
+  if (category && item.category !== category) return false;
+  if (q && !`${item.title} ${item.description}`.toLowerCase().includes(q)) return false;
+  if (start != null && t < start) return false;
+  if (end != null && t > end) return false;
+  return true;
+}
+
+async function replay(res, params, signal, { loop: keepLooping, events }) {
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  for (let loop = 0; !signal.aborted; loop++) {
+    for (const frame of frames) {
+      await sleep((frame.delay_ms ?? 1000) / SPEED, signal);
+      if (signal.aborted) return;
+      const data = stamp(frame, loop);
+      if (frame.type === "articles") {
+        const items = data.items.filter((a) => matches(a, params));
+        if (items.length) send("articles", { items });
+      } else if (frame.type === "events" && events) {
+        send("events", events(params));
+      } else {
+        send(frame.type, data);
+      }
+    }
+    if (!keepLooping) {
+      send("done", {});
+      break;
+    }
+  }
+  res.end();
+}
+
+/**
+ * Serve one SSE client: replays the fixture until the request closes, or once and then
+ * a "done" frame when `loop` is false (defaults to the --once flag). `events(params)`,
+ * when given, answers the "events" frames instead of the fixture (the mock backend
+ * passes its /events so ids and cache_key match what /event/:id and /news know).
+ */
+export function handleStream(req, res, url, { loop = LOOP, events } = {}) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write("retry: 3000\n\n");
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    controller.abort();
+    clearInterval(heartbeat);
+  });
+
+  console.log(`[mock-stream] client connected ${url.search || ""}`);
+  replay(res, url.searchParams, controller.signal, { loop, events }).finally(() => clearInterval(heartbeat));
+}
+
+function serve() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    if (url.pathname === "/health") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true, frames: frames.length }));
+      return;
+    }
+    if (url.pathname !== "/stream" || req.method !== "GET") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "not_found" }));
+      return;
+    }
+    handleStream(req, res, url);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`[mock-stream] replaying ${frames.length} frames on http://localhost:${PORT}/stream`);
+  });
+}
+
+// Only listen when run directly (not when imported by the mock backend)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) serve();
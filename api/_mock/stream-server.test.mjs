@@ -0,0 +1,66 @@
+// Mock stream replay (one pass, sped up): node --test api/
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+let server;
+let base;
+const warnings = [];
+const onWarning = (w) => warnings.push(w);
+
+before(async () => {
+  process.env.MOCK_STREAM_SPEED = "1000";
+  process.on("warning", onWarning);
+  const { handleStream } = await import("./stream-server.mjs");
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    handleStream(req, res, url, { loop: url.pathname === "/loop" });
+  });
+  await new Promise((r) => server.listen(0, r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  process.off("warning", onWarning);
+  server.close();
+});
+
+// All frames of one pass as [type, data]
+async function readStream(query = "") {
+  const text = await (await fetch(`${base}/stream${query}`)).text();
+  return text
+    .split("\n\n")
+    .map((block) => [block.match(/^event: (.+)$/m)?.[1], block.match(/^data: (.+)$/m)?.[1]])
+    .filter(([type]) => type)
+    .map(([type, data]) => [type, JSON.parse(data)]);
+}
+
+test("one pass ends with a done frame", async () => {
+  const frames = await readStream();
+  assert.ok(frames.some(([type]) => type === "articles"));
+  assert.deepEqual(frames.at(-1), ["done", {}]);
+});
+
+test("a long-lived connection does not pile up abort listeners", async () => {
+  const controller = new AbortController();
+  const res = await fetch(`${base}/loop`, { signal: controller.signal });
+  let frames = 0;
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) {
+    frames += (decoder.decode(chunk).match(/^event: /gm) || []).length;
+    if (frames >= 25) break;
+  }
+  controller.abort();
+  await new Promise((r) => setTimeout(r, 20)); // warnings are emitted on a later tick
+  assert.equal(warnings.filter((w) => w.name === "MaxListenersExceededWarning").length, 0);
+});
+
+test("start/end drop articles outside the window", async () => {
+  const future = new Date(Date.now() + 86400000).toISOString();
+  const frames = await readStream(`?start=${encodeURIComponent(future)}`);
+  assert.equal(frames.filter(([type]) => type === "articles").length, 0);
+
+  const past = new Date(Date.now() - 86400000).toISOString();
+  const kept = await readStream(`?start=${encodeURIComponent(past)}`);
+  assert.ok(kept.some(([type]) => type === "articles"));
+});
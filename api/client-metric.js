@@ -0,0 +1,10 @@
+import { createProxy } from "./_lib/proxy.js";
+
+// Metric batches from src/metrics.js; beacons arrive as text/plain, the body is forwarded as JSON
+export default createProxy({
+  path: "/client-metric",
+  methods: ["POST"],
+  rateLimit: { burst: 20, perMinute: 30 }, // batched: a few posts per minute at most
+  maxBodyBytes: 32 * 1024,
+  body: (req) => (typeof req.body === "string" ? req.body : JSON.stringify(req.body ?? {})),
+});
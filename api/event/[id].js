@@ -0,0 +1,9 @@
+import { createProxy, ENDPOINT_PARAMS, EVENT_ID } from "../_lib/proxy.js";
+
+// /api/event/:id — Vercel puts the path segment in req.query.id (not forwarded as a param)
+export default createProxy({
+  path: (req) => (EVENT_ID.test(String(req.query.id)) ? `/event/${encodeURIComponent(req.query.id)}` : null),
+  params: ENDPOINT_PARAMS.event,
+  cacheControl: "s-maxage=60, stale-while-revalidate=300",
+  cacheTtlMs: 30000,
+});
@@ -1,11 +1,8 @@
-export default async function handler(req, res) {
-  const HF_BASE = "https://manojseq-newsglobe-backend.hf.space"; // your Space
-  const qs = new URLSearchParams(req.query).toString();
-  const url = `${HF_BASE}/news${qs ? `?${qs}` : ""}`;
+import { createProxy, ENDPOINT_PARAMS } from "./_lib/proxy.js";
 
-  const r = await fetch(url, { headers: { "User-Agent": "NewsGlobe/Proxy" } });
-  const body = await r.text();
-
-  res.setHeader("Cache-Control", "s-maxage=60, stale-while-revalidate=300");
-  res.status(r.status).send(body);
-}
+export default createProxy({
+  path: "/news",
+  params: ENDPOINT_PARAMS.news,
+  cacheControl: "s-maxage=60, stale-while-revalidate=300",
+  cacheTtlMs: 30000,
+});
@@ -0,0 +1,10 @@
+import { createProxy, ENDPOINT_PARAMS } from "./_lib/proxy.js";
+
+// Server-sent events pass through unbuffered; when the function hits its time limit
+// the browser's EventSource reconnects on its own
+export default createProxy({
+  path: "/stream",
+  params: ENDPOINT_PARAMS.stream,
+  stream: true,
+  rateLimit: { burst: 5, perMinute: 20 }, // reconnects, not requests
+});
@@ -0,0 +1,148 @@
+/* public/service-worker.js
+ * Offline support: caches the app shell, Cesium's static assets under /cesium, and the
+ * last successful first-page /events and /news responses (read back by src/offline.js
+ * when the backend can't be reached). Bump VERSION to drop old shell/Cesium caches.
+ * Hashed /static/ bundles from earlier deploys are pruned against asset-manifest.json.
+ */
+
+const VERSION = "v1";
+const SHELL_CACHE = `shell-${VERSION}`;
+const CESIUM_CACHE = `cesium-${VERSION}`;
+const SNAPSHOT_CACHE = "snapshots"; // keep in sync with src/offline.js (not versioned: data outlives deploys)
+
+const SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/manifest.json",
+  "/favicon.ico",
+  "/logo192.png",
+  "/logo512.png",
+  "/cesium/Cesium.js",
+  "/cesium/Widgets/widgets.css",
+];
+
+// ---------- Lifecycle ----------
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = new Set([SHELL_CACHE, CESIUM_CACHE, SNAPSHOT_CACHE]);
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => !keep.has(n)).map((n) => caches.delete(n))))
+      .then(pruneStaticAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+// Drop cached /static/ files the current build no longer lists (every deploy renames
+// them, so without this the shell cache keeps every old bundle). Offline: no-op.
+function pruneStaticAssets() {
+  return fetch("/asset-manifest.json", { cache: "no-store" })
+    .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`asset-manifest ${res.status}`))))
+    .then((manifest) => {
+      const current = new Set(Object.values(manifest.files || {}).map((f) => new URL(f, self.location.origin).pathname));
+      if (!current.size) return;
+      return caches.open(SHELL_CACHE).then((cache) =>
+        cache.keys().then((requests) =>
+          Promise.all(
+            requests
+              .filter((req) => {
+                const { pathname } = new URL(req.url);
+                return pathname.startsWith("/static/") && !current.has(pathname);
+              })
+              .map((req) => cache.delete(req))
+          )
+        )
+      );
+    })
+    .catch(() => {});
+}
+
+// ---------- Strategies ----------
+// Network first, cached copy when offline (HTML: always fall back to the shell)
+function networkFirst(request, cacheName, fallbackUrl) {
+  return fetch(request)
+    .then((res) => {
+      if (res.ok) {
+        const copy = res.clone();
+        caches.open(cacheName).then((cache) => cache.put(request, copy));
+      }
+      return res;
+    })
+    .catch(() =>
+      caches.match(request).then((hit) => hit || (fallbackUrl ? caches.match(fallbackUrl) : undefined))
+    )
+    .then((res) => res || Response.error());
+}
+
+// Cache first (hashed bundles and Cesium files never change under the same URL)
+function cacheFirst(request, cacheName) {
+  return caches.match(request).then(
+    (hit) =>
+      hit ||
+      fetch(request).then((res) => {
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(cacheName).then((cache) => cache.put(request, copy));
+        }
+        return res;
+      })
+  );
+}
+
+// Pass through, remembering the last good first page of /events and /news
+function snapshot(request, kind) {
+  return fetch(request).then((res) => {
+    if (res.ok) {
+      res
+        .clone()
+        .text()
+        .then((body) => {
+          const headers = new Headers(res.headers);
+          headers.set("X-Snapshot-Url", request.url);
+          headers.set("X-Saved-At", new Date().toISOString());
+          return caches
+            .open(SNAPSHOT_CACHE)
+            .then((cache) => cache.put(`/__snapshot__/${kind}`, new Response(body, { status: 200, headers })));
+        })
+        .catch(() => {});
+    }
+    return res;
+  });
+}
+
+// ---------- Routing ----------
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // API (same origin or the configured backend): only the snapshot endpoints are touched
+  const kind = url.pathname.endsWith("/events") ? "events" : url.pathname.endsWith("/news") ? "news" : null;
+  if (kind) {
+    const laterPage = url.searchParams.has("page") || url.searchParams.has("cursor");
+    if (!laterPage) event.respondWith(snapshot(request, kind));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, "/index.html"));
+    event.waitUntil(pruneStaticAssets()); // a fresh page may come from a newer deploy
+  } else if (url.pathname.startsWith("/cesium/")) {
+    event.respondWith(cacheFirst(request, CESIUM_CACHE));
+  } else if (url.pathname.startsWith("/static/")) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (SHELL_URLS.includes(url.pathname) || url.pathname.startsWith("/markers/")) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
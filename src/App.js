@@ -4,10 +4,58 @@
 import { useEffect, useRef, useState } from "react";
 import "cesium/Build/Cesium/Widgets/widgets.css";
 import { placeArticles } from "./geoPlacement";
+import { loadCountryShapes } from "./countryShapes";
+import { countryName, resolveCountry } from "./countries";
+import { getArticleLayer, isClusterPick, expandCluster, unspiderfy, renderedClusters, onClustersChanged } from "./articleClusters";
+import { createPinLayer } from "./pinLayer";
+import { readPaging, mergePages } from "./paging";
+import { readUrlState, writeUrlState, readCamera, applyCamera } from "./urlState";
+import { parseTimestamp, publishedOf } from "./dates";
+import {
+  PLAYBACK_SPEEDS,
+  playbackRange,
+  defaultSpeed,
+  configureClock,
+  resetClock,
+  mountTimeline,
+  applyPlayback,
+  clearPlayback,
+} from "./playback";
+import {
+  HEAT_STOPS,
+  cellsFromCountryRows,
+  cellsFromArticles,
+  drawHeatmap,
+  showHeatmap,
+} from "./heatmap";
+import { drawPropagation, clearPropagation, formatDelay } from "./propagation";
+import { createDataClient } from "./dataClient";
+import { describeError } from "./http";
+import { readSnapshot } from "./offline";
+import { DATE_PRESETS, presetFor, resolveDateRange, formatUtcRange } from "./dateRange";
+import { createPoller, newRows, pulseEntities } from "./liveMode";
+import { setScaleFactor } from "./pinScale";
+import { openStream } from "./streamClient";
+import { createMetrics } from "./metrics";
+import { countEntities, roundMs, sampleFramesDuringMotion, webVitalMetric } from "./telemetry";
+import { ARTICLE_SORTS, LIST_FILTER_DEFAULTS, SENTIMENTS, filterArticles, listFacets, sortArticles } from "./articleList";
+import { createPerfLog, debugRequested, endpointOf, formatBytes, formatMs, hudSections, readMemory, trackFps } from "./perfHud";
+import { nextIndex, sameStops, visiblePins } from "./keyboardNav";
+import reportWebVitals from "./reportWebVitals";
+import {
+  FILTER_DEFAULTS,
+  loadSavedSearches,
+  persistSavedSearches,
+  upsertSearch,
+  removeSearch,
+  mergeSearches,
+  exportSearches,
+  parseImportedSearches,
+} from "./savedSearches";
 
 // ----------------- Format Helpers -----------------
 
-// mm:ss for metric timings
+// mm:ss for metric timings (legacy duration_str; duration_ms is the precise value)
 function formatDuration(ms) {
   const totalSeconds = Math.round(ms / 1000);
   const minutes = Math.floor(totalSeconds / 60);
@@ -17,31 +65,8 @@ function formatDuration(ms) {
 
 // Accepts Date | number | ISO-ish string (YYYYMMDDTHHMMSSZ also) → localized string
 function formatDateTime(ts) {
-  if (ts == null) return "—";
-  let d = null;
-
-  if (ts instanceof Date) {
-    d = ts;
-  } else if (typeof ts === "number") {
-    // 10-digit → seconds, 13-digit → ms
-    d = new Date(ts < 1e12 ? ts * 1000 : ts);
-  } else if (typeof ts === "string") {
-    // Convert ISO basic (YYYYMMDDTHHMMSSZ) → extended
-    const m = ts.match(/^(\d{4})(\d{2})(\d{2})T?(\d{2})(\d{2})(\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:?\d{2})?$/);
-    let iso = ts;
-    if (m) {
-      const [, yyyy, MM, dd, hh, mm, ss, ms, tz] = m;
-      const tzFmt = tz
-        ? tz === "Z"
-          ? "Z"
-          : tz.includes(":") ? tz : `${tz.slice(0,3)}:${tz.slice(3)}`
-        : "Z";
-      iso = `${yyyy}-${MM}-${dd}T${hh}:${mm}:${ss}${ms ? "."+ms : ""}${tzFmt}`;
-    }
-    d = new Date(iso);
-  }
-
-  if (!d || Number.isNaN(d.getTime())) return "—";
+  const d = parseTimestamp(ts);
+  if (!d) return "—";
   return d.toLocaleString(undefined, {
     year: "numeric",
     month: "short",
@@ -59,8 +84,39 @@ const rawBase =
 
 const API_BASE = (rawBase || "").replace(/\/+$/, "");
 
+// Batched client metrics (local sink: api/_mock/metrics-collector.mjs)
+const metrics = createMetrics({
+  endpoint: process.env.REACT_APP_METRICS_URL || `${API_BASE}/client-metric`,
+  build: process.env.REACT_APP_BUILD_ID || "dev",
+  sampleRate: Number(process.env.REACT_APP_METRICS_SAMPLE_RATE || 1),
+});
+// The developer HUD shows the same metrics (see perfHud.js)
+const hudLog = createPerfLog();
+const recordMetric = (metric) => {
+  hudLog.push(metric);
+  metrics.track(metric);
+};
+
+// Shared response cache for /events, /news and /event/:id (see dataClient.js)
+const api = createDataClient({
+  onResponse: ({ url, status, ms, bytes }) =>
+    recordMetric({ name: `GET ${endpointOf(url)}`, kind: "request", endpoint: endpointOf(url), status, duration_ms: ms, bytes }),
+});
+const EVENTS_MAX_AGE_MS = 60 * 1000; // "Load" should feel like a refresh, so events go stale fast
+const LIVE_INTERVAL_MS = 60 * 1000;  // live mode re-poll period
+// Push stream for live mode (mock: api/_mock/stream-server.mjs)
+const STREAM_URL = process.env.REACT_APP_STREAM_URL || `${API_BASE}/stream`;
+
 // ----------------- Static Icons / Options -----------------
 
+// Articles per /news request; further pages are fetched on demand
+const NEWS_PAGE_SIZE = 200;
+// Rows rendered in the article list at once (filters narrow the rest)
+const LIST_MAX_ROWS = 300;
+
+// Stable identity for an article row (pin layer key + page de-duplication)
+const articleKey = (a) => a.id ?? a.url ?? `${a.source}|${a.title}`;
+
 const colorMap = {
   positive:
     "https://upload.wikimedia.org/wikipedia/commons/thumb/8/83/Green_dot.svg/1024px-Green_dot.svg.png",
@@ -136,6 +192,9 @@ const DATE_HINT = "dd/mm/yyyy";
 // ----------------- Main Component -----------------
 
 export default function App() {
+  // Shared-link state (filters, event, camera) read once on boot
+  const [initialUrl] = useState(() => readUrlState());
+
   // UI toggles/state
   const [showOriginal, setShowOriginal] = useState(false);
 
@@ -143,12 +202,28 @@ export default function App() {
   const [articles, setArticles] = useState([]);
   const [pickedArticle, setPickedArticle] = useState(null);
 
+  // Left panel: event cards or the article list (kept in sync with the article pins)
+  const [panelTab, setPanelTab] = useState("events"); // "events" | "articles"
+  const [listFilter, setListFilter] = useState(LIST_FILTER_DEFAULTS);
+  const [listSort, setListSort] = useState("newest");
+  const articleListRef = useRef(null);
+  const highlightedPinRef = useRef(null); // entity enlarged while its row is hovered
+  const [newsPaging, setNewsPaging] = useState(null); // readPaging() of the last /news page
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
   // Cesium + network state
   const [isBootingCesium, setIsBootingCesium] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
-  const requestRef = useRef(null);
+  const [eventsStatus, setEventsStatus] = useState("idle"); // "idle" | "ok" | "error" (last /events load)
+  const [loadError, setLoadError] = useState(null);         // { message, retry } for the error banner
+  const [retryNote, setRetryNote] = useState("");           // "retrying in …" while backing off
+  const [snapshotAt, setSnapshotAt] = useState(null);       // ISO time of the offline snapshot on screen
   const initOnce = useRef(false);
 
+  // Keyed pin layers (created with the viewer); redraws only touch what changed
+  const articlePinsRef = useRef(null);
+  const countryPinsRef = useRef(null);
+
   const startRef = useRef(null);
   const endRef = useRef(null);
 
@@ -158,52 +233,381 @@ export default function App() {
   const [countries, setCountries] = useState([]);     // per-country for selected event
   const [pickedCountry, setPickedCountry] = useState(null);
 
-  // Filters
-  const [q, setQ] = useState("");
-  const [category, setCategory] = useState("");
-  const [language, setLanguage] = useState("");
-  const [doTranslate, setDoTranslate] = useState(false);
-  const [translateTo, setTranslateTo] = useState("en");
+  // Filters (seeded from the URL so a shared link loads the same view)
+  const [q, setQ] = useState(initialUrl.q ?? "");
+  const [category, setCategory] = useState(initialUrl.category ?? "");
+  const [language, setLanguage] = useState(initialUrl.language ?? "");
+  const [doTranslate, setDoTranslate] = useState(!!initialUrl.translateTo);
+  const [translateTo, setTranslateTo] = useState(initialUrl.translateTo ?? "en");
   const [cacheKey, setCacheKey] = useState("");
   // const [sim, setSim] = useState(0.84); // similarity threshold (unused—kept for future)
-  const [minCountries, setMinCountries] = useState(2);
-  const [minArticles, setMinArticles] = useState(2);
+  const [minCountries, setMinCountries] = useState(initialUrl.minCountries ?? 2);
+  const [minArticles, setMinArticles] = useState(initialUrl.minArticles ?? 2);
+
+  const [dateStart, setDateStart] = useState(initialUrl.dateStart ?? "");
+  const [dateEnd, setDateEnd] = useState(initialUrl.dateEnd ?? "");
+  const [datePreset, setDatePreset] = useState(() => presetFor(initialUrl)); // "", "24h", …, "custom"
+  // Range the current cache_key was requested with (news/event calls reuse it, so they share the cache)
+  const requestRangeRef = useRef(null);
+
+  // Timeline playback (article pins appear at their publish time)
+  const [playback, setPlayback] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playSpeed, setPlaySpeed] = useState(null); // clock multiplier; null → fit the range
+  const [clockLabel, setClockLabel] = useState("");
+  const timelineRef = useRef(null);        // container div for the Cesium Timeline widget
+  const timelineWidgetRef = useRef(null);  // { timeline, destroy } from mountTimeline
+
+  // How the selected event spread (first reporter → later countries), from drawPropagation
+  const [spread, setSpread] = useState(null);
+
+  // Live mode: periodic re-poll of /events + /news with the current filters
+  const [live, setLive] = useState(false);
+  const [newCount, setNewCount] = useState(0);     // articles merged in since the last manual load
+  const [liveUpdatedAt, setLiveUpdatedAt] = useState(null);
+  const [liveSource, setLiveSource] = useState("poll"); // "poll" | "stream" (server-sent events)
+  const [streamStatus, setStreamStatus] = useState("");
+  const liveRef = useRef(null);                    // latest live handlers (poller/stream outlive renders)
+  const articlesRef = useRef([]);                  // articles as of the last merge (see ingestArticles)
+
+  const [metricsOptOut, setMetricsOptOut] = useState(() => metrics.isOptedOut());
+
+  // Developer performance HUD (` key or ?debug=1)
+  const [showHud, setShowHud] = useState(() => debugRequested());
+  const [hudEntries, setHudEntries] = useState([]);
+  const [hudLive, setHudLive] = useState({ fps: null, entities: null, memory: null });
+
+  // Saved searches (localStorage)
+  const [savedSearches, setSavedSearches] = useState(() => loadSavedSearches());
+  const [savedId, setSavedId] = useState("");     // last applied/selected saved search
+  const [saveName, setSaveName] = useState("");
+  const [savedNote, setSavedNote] = useState(""); // import/export feedback
+  const importRef = useRef(null);
+
+  // Map view: "pins" (article/country markers) or "heatmap" (country choropleth)
+  const [mapView, setMapView] = useState("pins");
+
+  // Keyboard + screen reader access
+  const [eventFocus, setEventFocus] = useState(0);   // the one event card in the tab order
+  const [pinStops, setPinStops] = useState([]);      // visiblePins() as last refreshed
+  const [announcement, setAnnouncement] = useState(""); // polite live region text
+  const eventsListRef = useRef(null);
+  const cardHeadingRef = useRef(null);               // heading of the open details card
+  const returnFocusRef = useRef(null);               // element that opened the card
+  const refreshPinStopsRef = useRef(null);
+
+  // Event id from the URL that is still being restored (keeps it in the URL meanwhile)
+  const pendingEventRef = useRef(initialUrl.event ?? null);
+  const onHistoryRef = useRef(null);
+  const onBootRef = useRef(null);
+
+  // ----------------- URL Sync: state → query string -----------------
+  useEffect(() => {
+    const custom = datePreset === "custom";
+    const patch = {
+      q,
+      category,
+      language,
+      datePreset: custom ? null : datePreset, // absolute start/end already imply "custom"
+      dateStart: custom ? dateStart : null,
+      dateEnd: custom ? dateEnd : null,
+      translateTo: doTranslate ? translateTo : null,
+      minCountries,
+      minArticles,
+    };
+    if (!pendingEventRef.current) patch.event = selectedEvent?.event_id ?? null;
+    writeUrlState(patch);
+  }, [q, category, language, datePreset, dateStart, dateEnd, doTranslate, translateTo, minCountries, minArticles, selectedEvent]);
+
+  // ----------------- Playback: range, clock and pin availability -----------------
+  const playbackActive = playback && !selectedEvent;
+  useEffect(() => {
+    const v = window.cesiumViewer;
+    if (!v || !playbackActive) return;
+    const requested = requestRangeRef.current;
+    const range = playbackRange(articles.map(publishedOf), { dateStart: requested?.start, dateEnd: requested?.end });
+    if (!range) return;
+
+    const speed = playSpeed ?? defaultSpeed(range);
+    if (playSpeed == null) setPlaySpeed(speed);
+    configureClock(v, range, speed);
+    applyPlayback(getArticleLayer(v).entities.values, range);
+    timelineWidgetRef.current?.timeline.zoomTo(v.clock.startTime, v.clock.stopTime);
+  }, [playbackActive, articles, playSpeed]);
+
+  // ----------------- Playback: timeline widget + clock readout (mode on/off) -----------------
+  useEffect(() => {
+    const v = window.cesiumViewer;
+    if (!v || !playbackActive) return;
+
+    if (timelineRef.current) timelineWidgetRef.current = mountTimeline(timelineRef.current, v);
+
+    let last = 0;
+    const onTick = (clock) => {
+      const now = performance.now();
+      if (now - last < 250) return; // ~4 UI updates per second is plenty
+      last = now;
+      setClockLabel(formatDateTime(window.Cesium.JulianDate.toDate(clock.currentTime)));
+      setIsPlaying(clock.shouldAnimate);
+    };
+    const removeTick = v.clock.onTick.addEventListener(onTick);
+
+    return () => {
+      removeTick();
+      timelineWidgetRef.current?.destroy();
+      timelineWidgetRef.current = null;
+      clearPlayback(getArticleLayer(v).entities.values);
+      resetClock(v);
+      setIsPlaying(false);
+    };
+  }, [playbackActive]);
+
+  const togglePlay = () => {
+    const v = window.cesiumViewer;
+    if (!v) return;
+    v.clock.shouldAnimate = !v.clock.shouldAnimate;
+    setIsPlaying(v.clock.shouldAnimate);
+  };
+
+  // ----------------- Heatmap: toggle layers + shade countries -----------------
+  useEffect(() => {
+    const v = window.cesiumViewer;
+    if (!v) return;
+    const heat = mapView === "heatmap";
+    if (heat) unspiderfy();
+    showHeatmap(v, heat);
+    getArticleLayer(v).show = !heat;
+    v.entities.show = !heat; // country pins
+    if (!heat) return;
+
+    const t0 = performance.now();
+    const cells = selectedEvent ? cellsFromCountryRows(countries) : cellsFromArticles(articles);
+    const stats = drawHeatmap(v, cells);
+    postMetric({
+      name: "Draw sentiment heatmap",
+      duration_ms: performance.now() - t0,
+      count: cells.length,
+      extra: { entities_drawn: stats.total, source: selectedEvent ? "event" : "news" },
+      ts: Date.now(),
+    });
+  }, [mapView, selectedEvent, countries, articles, isBootingCesium]);
+
+  // ----------------- Live mode: poll while on, paused when the tab is hidden -----------------
+  // The stream URL carries the filters, so changing any of them reconnects it
+  const streamFilters =
+    live && liveSource === "stream"
+      ? JSON.stringify([q, category, language, datePreset, dateStart, dateEnd, doTranslate, translateTo, minCountries, minArticles])
+      : "";
+  useEffect(() => {
+    if (!live) return;
+    if (liveSource === "stream") {
+      const close = openStream(liveRef.current.streamUrl(), {
+        onArticles: (items) => liveRef.current?.ingestArticles(items, { source: "stream" }),
+        onEvents: (data) => liveRef.current?.ingestEvents(data),
+        onStatus: setStreamStatus,
+      });
+      return () => {
+        close();
+        setStreamStatus("");
+      };
+    }
+    const poller = createPoller(() => liveRef.current?.poll(), { intervalMs: LIVE_INTERVAL_MS });
+    return () => poller.stop();
+  }, [live, liveSource, streamFilters]);
+
+  // ----------------- Article list ↔ pins -----------------
+  const flyToArticle = (a) => {
+    const v = window.cesiumViewer;
+    if (!v) return;
+    const dest = window.Cesium.Cartesian3.fromDegrees(a.lon, a.lat, 400000);
+    v.camera.flyTo({ destination: dest });
+  };
+
+  // Hovering a row (or focusing a pin stop) enlarges its pin; a clustered pin has nothing to show
+  const highlightEntity = (entity) => {
+    const prev = highlightedPinRef.current;
+    if (prev) setScaleFactor(prev, "highlight", null);
+    if (entity) setScaleFactor(entity, "highlight", 1.8);
+    highlightedPinRef.current = entity || null;
+  };
+  const highlightPin = (key) =>
+    highlightEntity(key != null && !selectedEvent ? articlePinsRef.current?.entityFor(key) : null);
+
+  const openFromList = (key) => {
+    const entity = articlePinsRef.current?.entityFor(key);
+    if (!entity?.articleData) return;
+    setPickedArticle(entity.articleData);
+    setPickedCountry(null);
+    flyToArticle(entity.articleData);
+  };
+
+  // Picking a pin on the globe brings its row into view
+  useEffect(() => {
+    if (panelTab !== "articles" || !pickedArticle) return;
+    const key = String(articleKey(pickedArticle));
+    const row = [...(articleListRef.current?.children || [])].find((el) => el.dataset.key === key);
+    row?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [pickedArticle, panelTab]);
+
+  // ----------------- Keyboard + screen readers -----------------
+  // The same message twice in a row is still read out (a trailing nbsp makes it a change)
+  const announce = (msg) => setAnnouncement((prev) => (prev === msg ? `${msg}\u00a0` : msg));
+
+  // Events list: one card in the tab order, arrows/Home/End move between cards
+  const onEventKey = (e, i) => {
+    const to = nextIndex(e.key, i, events.length);
+    if (to == null) return;
+    e.preventDefault();
+    setEventFocus(to);
+    eventsListRef.current?.querySelectorAll(".event-card-main")[to]?.focus();
+  };
+  const onTabKey = (e, tabs) => {
+    const to = nextIndex(e.key, tabs.indexOf(panelTab), tabs.length, { wrap: true });
+    if (to == null) return;
+    e.preventDefault();
+    setPanelTab(tabs[to]);
+    e.currentTarget.parentElement.querySelectorAll("[role=tab]")[to]?.focus();
+  };
 
-  const [dateStart, setDateStart] = useState("");
-  const [dateEnd, setDateEnd] = useState("");
+  const openPin = (entity) => {
+    if (entity?.articleData) {
+      setPickedArticle(entity.articleData);
+      setPickedCountry(null);
+    } else if (entity?.countryData) {
+      setPickedCountry(entity.countryData);
+      setPickedArticle(null);
+    }
+  };
+
+  // The open event's country list opens the same card as its pin
+  const openCountry = (row) => {
+    const entity = countryPinsRef.current?.entityFor(resolveCountry(row.country)?.alpha2 ?? row.country);
+    if (!entity?.countryData) return;
+    openPin(entity);
+    const v = window.cesiumViewer;
+    if (v) v.camera.flyTo({ destination: window.Cesium.Cartesian3.fromDegrees(row.lon, row.lat, 600000) });
+  };
 
-  // ----------------- Map Redraw On Camera Stop -----------------
+  // Tab stops over the drawn pins and cluster badges: rebuilt when the camera comes to
+  // rest, when pins change, after a clustering pass and (in playback) as the clock runs
+  refreshPinStopsRef.current = () => {
+    const v = window.cesiumViewer;
+    const next = v ? visiblePins(v, [getArticleLayer(v).entities, v.entities], { clusters: renderedClusters(v) }) : [];
+    setPinStops((prev) => (sameStops(prev, next) ? prev : next));
+  };
   useEffect(() => {
     const v = window.cesiumViewer;
     if (!v) return;
-    // Redraw ONLY after the globe stops moving; skip posting metrics
-    const onMoveEnd = () => {
-      if (!selectedEvent) {
-        if (articles?.length) drawArticlePins(articles, { sendMetric: false });
-      } else {
-        if (countries?.length) drawPins(countries, { sendMetric: false });
+    let timer = null;
+    const refreshSoon = () => {
+      if (!timer) timer = setTimeout(() => { timer = null; refreshPinStopsRef.current?.(); }, 300);
+    };
+    const removeMoveEnd = v.camera.moveEnd.addEventListener(() => refreshPinStopsRef.current?.());
+    const removeClusters = onClustersChanged(v, refreshSoon);
+    const removeTick = playbackActive ? v.clock.onTick.addEventListener(refreshSoon) : null;
+    return () => {
+      removeMoveEnd();
+      removeClusters();
+      removeTick?.();
+      clearTimeout(timer);
+    };
+  }, [isBootingCesium, playbackActive]);
+  useEffect(() => {
+    refreshPinStopsRef.current?.();
+  }, [isBootingCesium, articles, countries, mapView, playbackActive]);
+
+  // A details card takes focus when it opens and gives it back to its opener on close
+  const openCard = pickedArticle || pickedCountry;
+  useEffect(() => {
+    if (openCard) {
+      const active = document.activeElement;
+      if (!returnFocusRef.current && active && active !== document.body && !active.closest(".details-card")) {
+        returnFocusRef.current = active;
       }
+      cardHeadingRef.current?.focus();
+      return;
+    }
+    const opener = returnFocusRef.current;
+    returnFocusRef.current = null;
+    if (opener?.isConnected) opener.focus();
+  }, [openCard]);
+
+  // Esc closes the details card
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== "Escape" || e.defaultPrevented) return;
+      setPickedArticle(null);
+      setPickedCountry(null);
     };
-    v.camera.moveEnd.addEventListener(onMoveEnd);
-    return () => v.camera.moveEnd.removeEventListener(onMoveEnd);
-  }, [articles, countries, selectedEvent]);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // ----------------- Dev HUD: toggle, then follow metrics + scene while open -----------------
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== "`" || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      setShowHud((v) => !v);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  useEffect(() => {
+    if (!showHud) return;
+    setHudEntries(hudLog.entries());
+    const unsubscribe = hudLog.subscribe(setHudEntries);
+
+    const v = window.cesiumViewer;
+    let fps = null;
+    const stopFps = v ? trackFps(v.scene, (n) => { fps = n; }) : null;
+    const tick = () => setHudLive({ fps, entities: v ? countEntities(v) : null, memory: readMemory() });
+    tick();
+    const timer = setInterval(tick, 1000);
+
+    return () => {
+      unsubscribe();
+      stopFps?.();
+      clearInterval(timer);
+    };
+  }, [showHud, isBootingCesium]);
+
+  // ----------------- URL Sync: back/forward → state -----------------
+  useEffect(() => {
+    const onPop = () => onHistoryRef.current?.();
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
 
   // ----------------- Metrics Helper -----------------
-  // Centralized metric poster (easy to disable/debounce later)
-  const postMetric = (payload) =>
-    fetch(`${API_BASE}/client-metric`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    }).catch(() => {});
+  // Queued and sent in batches by metrics.js (sampling and opt-out apply there).
+  // Timings are sent as numeric ms; the mm:ss string stays for older /client-metric readers.
+  const postMetric = ({ duration_ms, ...payload }) =>
+    recordMetric(
+      duration_ms == null
+        ? payload
+        : { kind: "timing", ...payload, duration_ms: roundMs(duration_ms), duration_str: formatDuration(duration_ms) }
+    );
+
+  const toggleMetrics = (share) => {
+    metrics.setOptOut(!share);
+    setMetricsOptOut(!share);
+  };
 
   // ----------------- Cesium Boot (one time) -----------------
   useEffect(() => {
     if (initOnce.current) return;
     initOnce.current = true;
 
+    reportWebVitals((m) => postMetric(webVitalMetric(m)));
+    let frameSampler = null;
+
     // Cesium boot (serving Cesium from /cesium)
     window.CESIUM_BASE_URL = "/cesium";
+    // Country boundaries download alongside Cesium; placement needs them before the first draw
+    const shapesReady = loadCountryShapes().catch((err) => console.error("Country shapes failed to load", err));
+
     const script = document.createElement("script");
     script.src = "/cesium/Cesium.js";
     script.async = true;
@@ -240,12 +644,28 @@ export default function App() {
       window.cesiumViewer = viewer;
       setIsBootingCesium(false);
 
-      // Click handler – pick either an article pin or a country pin
-      const handler = new window.Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
-      handler.setInputAction((movement) => {
+      // Frame times while the user drags/zooms or the camera flies (one metric per movement)
+      frameSampler = sampleFramesDuringMotion(viewer, {
+        onSample: (sample) => postMetric({ name: "Globe frame rate (camera motion)", kind: "frames", ...sample }),
+      });
+
+      // Clustered data source for article pins (country pins stay on viewer.entities)
+      articlePinsRef.current = createPinLayer(getArticleLayer(viewer).entities, {
+        key: articleKey,
+      });
+      countryPinsRef.current = createPinLayer(viewer.entities, {
+        key: (row) => resolveCountry(row.country)?.alpha2 ?? row.country ?? null,
+      });
+
+      // Click handler – expand a cluster, or pick either an article pin or a country pin
+      const onPick = (movement, { spider = false } = {}) => {
         viewer.trackedEntity = undefined; // ensure not tracking anything
         const picked = viewer.scene.pick(movement.position);
-        if (picked && picked.id) {
+        if (isClusterPick(picked)) {
+          expandCluster(viewer, picked.id, { spider });
+          setPickedArticle(null);
+          setPickedCountry(null);
+        } else if (picked && picked.id) {
           if (picked.id.articleData) {
             setPickedArticle(picked.id.articleData);
             setPickedCountry(null);
@@ -257,37 +677,48 @@ export default function App() {
             setPickedCountry(null);
           }
         } else {
+          unspiderfy();
           setPickedArticle(null);
           setPickedCountry(null);
         }
-      }, window.Cesium.ScreenSpaceEventType.LEFT_CLICK);
+      };
+      const handler = new window.Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+      handler.setInputAction(onPick, window.Cesium.ScreenSpaceEventType.LEFT_CLICK);
+      // Shift+click on a cluster always spiders it out instead of zooming
+      handler.setInputAction(
+        (movement) => onPick(movement, { spider: true }),
+        window.Cesium.ScreenSpaceEventType.LEFT_CLICK,
+        window.Cesium.KeyboardEventModifier.SHIFT
+      );
 
-      // Initial load
-      loadEvents();
+      // Restore the shared camera and start the initial load, then keep the URL in step with the camera
+      onBootRef.current?.(viewer, shapesReady);
+      viewer.camera.moveEnd.addEventListener(() => writeUrlState({ camera: readCamera(viewer) }));
     };
     document.body.appendChild(script);
 
     return () => {
+      frameSampler?.destroy();
       if (window.cesiumViewer) window.cesiumViewer.destroy();
     };
   }, []);
 
-  // ----------------- Network: Abort Helper -----------------
-  const abortInFlight = () => {
-    if (requestRef.current) requestRef.current.abort();
-    requestRef.current = null;
-  };
+  // ----------------- Date Range: presets resolved at request time -----------------
+  // Rolling windows snap to the minute so repeat loads within a minute share cache entries
+  const resolveCurrentRange = () =>
+    resolveDateRange({ preset: datePreset, dateStart, dateEnd }, Math.floor(Date.now() / 60000) * 60000);
+  const dateRange = resolveCurrentRange(); // for display/validation only
 
   // ----------------- Query Builder (shared across endpoints) -----------------
-  const buildCommonParams = () => {
+  const buildCommonParams = (range = requestRangeRef.current ?? resolveCurrentRange()) => {
     const params = new URLSearchParams();
     if (q) params.set("q", q);
     if (category) params.set("category", category);
     if (language) params.set("language", language);
   
-    // NEW: date range (send UTC ISO strings)
-    if (dateStart) params.set("start", new Date(dateStart).toISOString());
-    if (dateEnd) params.set("end", new Date(dateEnd).toISOString());
+    // Date range (sent as UTC ISO strings)
+    if (range.start) params.set("start", range.start.toISOString());
+    if (range.end) params.set("end", range.end.toISOString());
   
     if (doTranslate && translateTo) {
       params.set("translate", "true");
@@ -299,73 +730,260 @@ export default function App() {
   };
   
 
+  // ----------------- UI: Filter state as one object -----------------
+  const currentFilters = () => ({
+    q, category, language, datePreset, dateStart, dateEnd, doTranslate, translateTo, minCountries, minArticles,
+  });
+
+  const applyFilters = (f) => {
+    setQ(f.q);
+    setCategory(f.category);
+    setLanguage(f.language);
+    setDatePreset(f.datePreset);
+    setDateStart(f.dateStart);
+    setDateEnd(f.dateEnd);
+    setDoTranslate(f.doTranslate);
+    setTranslateTo(f.translateTo);
+    setMinCountries(f.minCountries);
+    setMinArticles(f.minArticles);
+  };
+
   // ----------------- UI: Clear Filters (no fetch) -----------------
   const handleClearFilters = () => {
-    setQ("");
-    setCategory("");
-    setLanguage("");
-    setDoTranslate(false);
-    setTranslateTo("en");
+    applyFilters(FILTER_DEFAULTS);
     setShowOriginal(false);
-    setMinCountries(2);
-    setMinArticles(2);
-    setDateStart("");
-    setDateEnd("");
+    setSavedId("");
+  };
+
+  // ----------------- UI: Saved Searches (apply = set filters, no fetch) -----------------
+  const updateSaved = (next) => {
+    setSavedSearches(next);
+    persistSavedSearches(next);
+  };
+
+  const applySaved = (id) => {
+    setSavedId(id);
+    setSavedNote("");
+    const entry = savedSearches.find((s) => s.id === id);
+    if (entry) applyFilters(entry.filters);
+  };
+
+  const saveCurrentSearch = () => {
+    const name = saveName.trim();
+    if (!name) return;
+    const next = upsertSearch(savedSearches, name, currentFilters());
+    updateSaved(next);
+    setSavedId(next.find((s) => s.name === name)?.id || "");
+    setSaveName("");
+    setSavedNote(`Saved "${name}".`);
+  };
+
+  const deleteSaved = () => {
+    if (!savedId) return;
+    updateSaved(removeSearch(savedSearches, savedId));
+    setSavedId("");
+    setSavedNote("");
+  };
+
+  const exportSaved = () => {
+    const blob = new Blob([exportSearches(savedSearches)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "newsglobe-saved-searches.json";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const importSaved = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const incoming = parseImportedSearches(text);
+        updateSaved(mergeSearches(savedSearches, incoming));
+        setSavedNote(`Imported ${incoming.length} saved ${incoming.length === 1 ? "search" : "searches"}.`);
+      })
+      .catch((err) => setSavedNote(err.message));
+  };
+
+  // ----------------- Errors: banner + retry -----------------
+  const reportError = (what, err, retry) => {
+    if (err.name === "AbortError") return;
+    console.error(err);
+    setLoadError({ message: `${what} ${describeError(err)}`, retry });
+  };
+
+  // Backoff in progress (typically the backend Space waking up)
+  const onRetry = ({ attempt, retries, delayMs, error }) => {
+    const waking = error.status === 503 || error.kind === "network" || error.kind === "timeout";
+    setRetryNote(
+      `${waking ? "Server is waking up" : "Server error"}, retrying in ${Math.ceil(delayMs / 1000)} s ` +
+        `(${attempt}/${retries})...`
+    );
+  };
+
+  const retryLastLoad = () => {
+    const retry = loadError?.retry;
+    setLoadError(null);
+    retry?.();
   };
 
   // ----------------- Fetch: Events (and then articles) -----------------
   const loadEvents = () => {
-    abortInFlight();
-    const controller = new AbortController();
-    requestRef.current = controller;
+    const range = resolveCurrentRange();
+    if (range.error) return Promise.resolve(undefined);
+
+    api.cancelAll(); // a new search makes any pending news/event request moot
     setIsLoading(true);
+    setLoadError(null);
 
-    const qs = buildCommonParams();
+    requestRangeRef.current = range;
+    setNewCount(0);
+    const qs = buildCommonParams(range);
+    const url = `${API_BASE}/events${qs ? `?${qs}&speed=balanced` : `?speed=balanced`}`;
 
-    return fetch(`${API_BASE}/events${qs ? `?${qs}&speed=balanced` : `?speed=balanced`}`, {
-      signal: controller.signal,
-    })
-      .then((r) => r.json())
+    return api
+      .get(url, { channel: "events", maxAgeMs: EVENTS_MAX_AGE_MS, swr: false, onRetry })
       .then((data) => {
         setEvents(data.events || []);
+        setEventsStatus("ok");
+        setSnapshotAt(null);
         setCacheKey(data.cache_key || "");
         setSelectedEvent(null);
         setCountries([]);
         drawPins([], { sendMetric: false });
-        return loadNews(data.cache_key || ""); // fetch news for the same cache
+        const key = data.cache_key || "";
+        const found = `${(data.events || []).length} events`;
+        return loadNews(key).then((count) => { // fetch news for the same cache
+          announce(count == null ? `${found} found.` : `${found} and ${count} articles loaded.`);
+          return key;
+        });
       })
       .catch((err) => {
-        if (err.name !== "AbortError") console.error(err);
+        if (err.name === "AbortError") return;
+        return readSnapshot("events").then((snap) => {
+          if (snap) return showSnapshot(snap, err);
+          setEvents([]);
+          setEventsStatus("error");
+          reportError("Couldn't load events.", err, loadEvents);
+        });
       })
       .finally(() => {
-        if (requestRef.current === controller) requestRef.current = null;
         setIsLoading(false);
+        setRetryNote("");
       });
   };
 
+  // ----------------- Live: merge new articles (poll or stream, no full redraw) -----------------
+  articlesRef.current = articles;
+  const ingestArticles = (rows, { source, t0 = performance.now() }) => {
+    const current = articlesRef.current;
+    const fresh = newRows(current, rows, articleKey);
+    setLiveUpdatedAt(new Date());
+    if (!fresh.length) return;
+
+    const merged = current.concat(fresh);
+    articlesRef.current = merged; // stream frames can arrive faster than renders
+    setArticles(merged);
+    setNewCount((n) => n + fresh.length);
+    // With an event open the country pins stay up; the new articles show on return
+    if (!selectedEvent) {
+      drawArticlePins(merged, { sendMetric: false });
+      const added = fresh.map((a) => articlePinsRef.current?.entityFor(articleKey(a))).filter(Boolean);
+      if (added.length) pulseEntities(added);
+    }
+    announce(`${fresh.length} new ${fresh.length === 1 ? "article" : "articles"}.`);
+
+    postMetric({
+      name: `Live update (${source} + merge)`,
+      duration_ms: performance.now() - t0,
+      count: fresh.length,
+      extra: { loaded_total: merged.length },
+      ts: Date.now(),
+    });
+  };
+
+  const ingestEvents = (data) => {
+    setEvents(data.events || []);
+    setEventsStatus("ok");
+    setSnapshotAt(null);
+    if (data.cache_key) setCacheKey(data.cache_key);
+  };
+
+  liveRef.current = {
+    ingestArticles,
+    ingestEvents,
+    poll: () => {
+      const range = resolveCurrentRange(); // rolling windows move forward with each poll
+      if (range.error) return;
+      const qs = buildCommonParams(range);
+      const eventsUrl = `${API_BASE}/events${qs ? `?${qs}&speed=balanced` : `?speed=balanced`}`;
+      const t0 = performance.now();
+
+      return api
+        .get(eventsUrl, { channel: "live", maxAgeMs: 0, swr: false })
+        .then((data) => {
+          requestRangeRef.current = range;
+          ingestEvents(data);
+          return api.get(buildNewsUrl(data.cache_key || ""), { channel: "live", maxAgeMs: 0, swr: false });
+        })
+        .then((data) => ingestArticles(data?.items || [], { source: "poll", t0 }))
+        .catch((err) => {
+          if (err.name !== "AbortError") console.error(err); // next poll will try again
+        });
+    },
+    streamUrl: () => {
+      // A rolling window stays open-ended: the stream is there for what comes next
+      const range = resolveCurrentRange();
+      const rolling = datePreset && datePreset !== "custom";
+      const qs = buildCommonParams(rolling ? { ...range, end: null } : range);
+      return `${STREAM_URL}${qs ? `?${qs}` : ""}`;
+    },
+  };
+
+  // ----------------- Offline: last saved /events + /news -----------------
+  const showSnapshot = (snap, err) => {
+    const key = snap.data?.cache_key || "";
+    setEvents(snap.data?.events || []);
+    setCacheKey(key);
+    setEventsStatus("ok");
+    setSnapshotAt(snap.savedAt || "");
+    setSelectedEvent(null);
+    setCountries([]);
+    drawPins([], { sendMetric: false });
+    setLoadError({ message: `${describeError(err)} Showing the last saved results.`, retry: loadEvents });
+
+    return readSnapshot("news").then((news) => {
+      const rows = news?.data?.items || [];
+      setArticles(rows);
+      setNewsPaging(null); // can't page a snapshot
+      drawArticlePins(rows, { sendMetric: false });
+      return key;
+    });
+  };
+
   // ----------------- Draw: Article Pins -----------------
   const drawArticlePins = (rows, { sendMetric = true } = {}) => {
-    const v = window.cesiumViewer;
-    if (!v) return;
-    v.entities.removeAll();
+    const pins = articlePinsRef.current;
+    if (!window.cesiumViewer || !pins) return;
+    unspiderfy();
+    countryPinsRef.current?.clear();
+    clearPropagation(window.cesiumViewer);
+    setSpread(null);
 
     const t0 = performance.now();
 
     // Normalize/relocate all points strictly inside their countries
     const placed = placeArticles(rows);
+    const placementMs = performance.now() - t0;
 
-    placed.forEach((a) => {
-      if (!Number.isFinite(a.lon) || !Number.isFinite(a.lat)) return;
-
-      const publishedRaw =
-        a.published_at ??
-        a.publishedAt ??
-        a.pubDate ??
-        a.date_published ??
-        a.date ??
-        (a.published_ts != null ? Number(a.published_ts) : null);
+    const stats = pins.sync(placed, (a) => {
+      if (!Number.isFinite(a.lon) || !Number.isFinite(a.lat)) return null;
 
-      v.entities.add({
+      return {
         name: `${a.source}: ${a.title}`,
         position: window.Cesium.Cartesian3.fromDegrees(a.lon, a.lat, 80000),
         billboard: {
@@ -382,7 +1000,9 @@ export default function App() {
           url: a.url,
           source: a.source,
           sentiment: a.sentiment,
-          country: a.country,
+          country: countryName(a.country),
+          countryCode: a.country_code ?? resolveCountry(a.country)?.alpha2 ?? null,
+          city: a.city || null,
           lat: a.lat,
           lon: a.lon,
           description: a.description,
@@ -395,116 +1015,185 @@ export default function App() {
             (a.category && a.category.trim()) ||
             (category && category.trim()) ||
             "",
-          published: publishedRaw,
+          published: publishedOf(a),
         },
-      });
-    });
+      };
+    }, { salt: category });
 
     const durationMs = performance.now() - t0;
     if (sendMetric) {
       postMetric({
         name: "Load all article markers on globe",
-        duration_str: formatDuration(durationMs),
+        duration_ms: durationMs,
+        placement_ms: roundMs(placementMs),
         count: placed?.length || 0,
-        extra: { entities_drawn: window.cesiumViewer?.entities?.values?.length || 0 },
+        extra: {
+          entities_drawn: stats.total,
+          entities_added: stats.added,
+          entities_updated: stats.updated,
+          entities_removed: stats.removed,
+        },
         ts: Date.now(),
       });
     }
   };
 
+  // ----------------- Query Builder: /news (first or later page) -----------------
+  const buildNewsUrl = (key, { page = 1, cursor = null } = {}) => {
+    const params = new URLSearchParams();
+    if (key) params.set("cache_key", key);
+    new URLSearchParams(buildCommonParams()).forEach((v, k) => params.set(k, v));
+    params.set("page_size", String(NEWS_PAGE_SIZE));
+    if (cursor) params.set("cursor", cursor);
+    else if (page > 1) params.set("page", String(page));
+    params.set("speed", "balanced");
+    return `${API_BASE}/news?${params.toString()}`;
+  };
+
   // ----------------- Fetch: News (flat list for article pins) -----------------
   const loadNews = (overrideKey) => {
-    abortInFlight();
-    const controller = new AbortController();
-    requestRef.current = controller;
-
-    const qs = buildCommonParams();
     const key = overrideKey ?? cacheKey;
-    const url = key
-      ? `${API_BASE}/news?cache_key=${encodeURIComponent(key)}&${qs}&page_size=200&speed=balanced`
-      : `${API_BASE}/news${qs ? `?${qs}&page_size=200&speed=balanced` : `?page_size=200&speed=balanced`}`;
+    const url = buildNewsUrl(key);
+    const cached = api.peek(url) !== undefined;
 
     const tAll = performance.now();
     const t0 = performance.now();
 
-    return fetch(url, { signal: controller.signal })
-      .then((r) => r.json())
+    return api
+      .get(url, { channel: "news", onRetry })
       .then((data) => {
         const rows = data?.items || [];
         const fetchMs = performance.now() - t0;
 
         setArticles(rows);
+        setNewsPaging(readPaging(data, { page: 1, pageSize: NEWS_PAGE_SIZE, received: rows.length }));
         drawArticlePins(rows);
         const totalMs = performance.now() - tAll;
 
         postMetric({
           name: "Fetch articles from backend",
-          duration_str: formatDuration(fetchMs),
+          duration_ms: fetchMs,
           count: rows.length,
+          extra: { cached },
           ts: Date.now(),
         });
         postMetric({
           name: "Full refresh (fetch + draw article markers)",
-          duration_str: formatDuration(totalMs),
+          duration_ms: totalMs,
           count: rows.length,
           ts: Date.now(),
         });
 
         setPickedArticle(null);
         setPickedCountry(null);
+        return rows.length;
       })
       .catch((err) => {
-        if (err.name !== "AbortError") console.error(err);
+        reportError("Couldn't load articles.", err, () => loadNews(key));
       });
   };
 
-  // ----------------- Fetch: Event Details (per-country split) -----------------
-  const loadEventDetails = (event_id) => {
-    abortInFlight();
-    const controller = new AbortController();
-    requestRef.current = controller;
-    setIsLoading(true);
+  // ----------------- Fetch: More News (append next page onto the globe) -----------------
+  const loadMoreNews = () => {
+    if (!newsPaging?.hasMore || isLoadingMore) return;
+    setIsLoadingMore(true);
+
+    const page = newsPaging.nextPage;
+    const url = buildNewsUrl(cacheKey, { page, cursor: newsPaging.nextCursor });
+    const t0 = performance.now();
+
+    api
+      .get(url, { channel: "news", onRetry })
+      .then((data) => {
+        const rows = data?.items || [];
+        // Keep what is already drawn; the pin layer only adds the new rows
+        const merged = mergePages(articles, rows, articleKey);
+        setArticles(merged);
+        setNewsPaging(readPaging(data, { page, pageSize: NEWS_PAGE_SIZE, received: rows.length }));
+        drawArticlePins(merged);
+        announce(`${rows.length} more articles loaded, ${merged.length} in total.`);
+
+        postMetric({
+          name: `Fetch more articles (page ${page})`,
+          duration_ms: performance.now() - t0,
+          count: rows.length,
+          extra: { loaded_total: merged.length },
+          ts: Date.now(),
+        });
+      })
+      .catch((err) => {
+        reportError("Couldn't load more articles.", err, loadMoreNews);
+      })
+      .finally(() => {
+        setIsLoadingMore(false);
+      });
+  };
 
+  // ----------------- Fetch: Event Details (per-country split) -----------------
+  // history: "push" (user click), "replace" (restoring a link), "none" (back/forward)
+  const loadEventDetails = (event_id, { cacheKey: keyOverride, history = "push" } = {}) => {
     const qsBase = buildCommonParams();
     const params = new URLSearchParams(qsBase);
-    if (cacheKey) params.set("cache_key", cacheKey);
+    const key = keyOverride ?? cacheKey;
+    if (key) params.set("cache_key", key);
     params.set("max_samples", "0");
+    const url = `${API_BASE}/event/${event_id}?${params.toString()}`;
 
-    fetch(`${API_BASE}/event/${event_id}?${params.toString()}`, {
-      signal: controller.signal,
-    })
-      .then((r) => {
-        if (!r.ok) throw new Error(`HTTP ${r.status}`);
-        return r.json();
-      })
+    // An event seen before renders straight from the cache: no loader flash
+    setIsLoading(api.peek(url) === undefined);
+
+    // Stale cache hit: redraw when the refreshed copy lands, if the event is still open
+    const onRevalidate = (data) => {
+      if (String(readUrlState().event) !== String(data.event?.event_id ?? event_id)) return;
+      setSelectedEvent(data.event);
+      setCountries(data.countries || []);
+      drawPins(data.countries || [], { sendMetric: false });
+    };
+
+    return api
+      .get(url, { channel: "event", onRevalidate, onRetry })
       .then((data) => {
+        if (history !== "none") {
+          writeUrlState({ event: data.event?.event_id ?? event_id }, { push: history === "push" });
+        }
         setSelectedEvent(data.event);
         setCountries(data.countries || []);
         setPickedArticle(null);
         setPickedCountry(null);
         drawPins(data.countries || []);
+        const reporting = (data.countries || []).length;
+        announce(`Opened event: ${data.event?.title || event_id}. ${reporting} ${reporting === 1 ? "country" : "countries"} reporting.`);
+        return true;
       })
       .catch((err) => {
-        if (err.name !== "AbortError") console.error(err);
+        reportError("Couldn't open this event.", err, () =>
+          loadEventDetails(event_id, { cacheKey: keyOverride, history })
+        );
+        return false;
       })
       .finally(() => {
-        if (requestRef.current === controller) requestRef.current = null;
         setIsLoading(false);
+        setRetryNote("");
       });
   };
 
   // ----------------- Draw: Country Pins (for selected event) -----------------
   const drawPins = (countryRows, { sendMetric = true } = {}) => {
-    const viewer = window.cesiumViewer;
-    if (!viewer) return;
-    viewer.entities.removeAll();
+    const pins = countryPinsRef.current;
+    if (!window.cesiumViewer || !pins) return;
+    unspiderfy();
+    articlePinsRef.current?.clear();
 
     const t0 = performance.now();
 
-    countryRows.forEach((row) => {
-      if (!Number.isFinite(row.lon) || !Number.isFinite(row.lat)) return;
+    const stats = pins.sync(countryRows, (raw) => {
+      if (!Number.isFinite(raw.lon) || !Number.isFinite(raw.lat)) return null;
+
+      // Canonical name/code so "USA" and "United States" rows read the same in the card
+      const rec = resolveCountry(raw.country);
+      const row = rec ? { ...raw, country: rec.name, countryCode: rec.alpha2 } : raw;
 
-      viewer.entities.add({
+      return {
         name: `${row.country} (${row.count})`,
         position: window.Cesium.Cartesian3.fromDegrees(row.lon, row.lat, 120000),
         billboard: {
@@ -513,21 +1202,71 @@ export default function App() {
           height: 36,
         },
         countryData: row,
-      });
+      };
     });
 
+    // Arcs from the first reporting country to the ones that picked the story up later
+    setSpread(drawPropagation(window.cesiumViewer, countryRows || []));
+
     const durationMs = performance.now() - t0;
     if (sendMetric) {
       postMetric({
         name: "Load event country markers on globe",
-        duration_str: formatDuration(durationMs),
+        duration_ms: durationMs,
         count: countryRows?.length || 0,
-        extra: { entities_drawn: window.cesiumViewer?.entities?.values?.length || 0 },
+        extra: {
+          entities_drawn: stats.total,
+          entities_added: stats.added,
+          entities_updated: stats.updated,
+          entities_removed: stats.removed,
+        },
         ts: Date.now(),
       });
     }
   };
 
+  // ----------------- Boot: shared camera, initial load, shared event -----------------
+  onBootRef.current = (viewer, shapesReady) => {
+    applyCamera(viewer, initialUrl.camera);
+    shapesReady.then(() => loadEvents()).then((key) => {
+      const eventId = pendingEventRef.current;
+      if (!eventId) return;
+      loadEventDetails(eventId, { cacheKey: key, history: "replace" }).then((ok) => {
+        pendingEventRef.current = null;
+        if (!ok) writeUrlState({ event: null });
+      });
+    });
+  };
+
+  // ----------------- Back/Forward: apply URL state -----------------
+  onHistoryRef.current = () => {
+    const st = readUrlState();
+    setQ(st.q ?? "");
+    setCategory(st.category ?? "");
+    setLanguage(st.language ?? "");
+    setDatePreset(presetFor(st));
+    setDateStart(st.dateStart ?? "");
+    setDateEnd(st.dateEnd ?? "");
+    setDoTranslate(!!st.translateTo);
+    if (st.translateTo) setTranslateTo(st.translateTo);
+    setMinCountries(st.minCountries ?? 2);
+    setMinArticles(st.minArticles ?? 2);
+
+    if (st.event) {
+      if (String(st.event) !== String(selectedEvent?.event_id)) {
+        loadEventDetails(st.event, { history: "none" });
+      }
+    } else if (selectedEvent) {
+      setSelectedEvent(null);
+      setCountries([]);
+      setPickedCountry(null);
+      drawArticlePins(articles, { sendMetric: false });
+    }
+
+    const v = window.cesiumViewer;
+    if (v && st.camera) applyCamera(v, st.camera, { fly: true });
+  };
+
   // ----------------- Small Utilities -----------------
   const titleCase = (s) =>
     (s || "")
@@ -537,39 +1276,258 @@ export default function App() {
       .join(" ");
 
   const showLoader = isBootingCesium || isLoading;
+  const hud = showHud ? { ...hudSections(hudEntries), ...hudLive } : null;
+  const listRows = panelTab === "articles" ? sortArticles(filterArticles(articles, listFilter), listSort) : [];
+  const listOptions = panelTab === "articles" ? listFacets(articles) : null;
+  const pickedKey = pickedArticle ? String(articleKey(pickedArticle)) : null;
+  const focusedEvent = Math.min(eventFocus, Math.max((events || []).length - 1, 0));
 
   // ----------------- Render -----------------
   return (
     <>
       {/* Left: Events List */}
       <div className="events-panel">
-        <h3 style={{ marginTop: 0 }}>Events</h3>
-        <div className="events-list">
-          {(events || []).map(ev => (
-            <div
-              key={ev.event_id}
-              className={`event-card ${selectedEvent?.event_id===ev.event_id ? "active":""}`}
-              onClick={() => loadEventDetails(ev.event_id)}
+        <div className="events-header">
+          <h3 style={{ margin: 0 }}>{panelTab === "events" ? "Events" : "Articles"}</h3>
+          {live && (
+            <span
+              className={`live-dot ${streamStatus && streamStatus !== "open" ? "live-dot-off" : ""}`}
+              title={
+                streamStatus && streamStatus !== "open"
+                  ? `Stream ${streamStatus}`
+                  : liveUpdatedAt ? `Last update ${liveUpdatedAt.toLocaleTimeString()}` : "Waiting for the first update"
+              }
             >
-              <div className="ev-title">{ev.title}</div>
-              <div className="ev-meta">
-                <span>{ev.article_count} articles</span>
-                <span>{ev.country_count} countries</span>
-              </div>
-              <div className="ev-tags">
-                {(ev.keywords || []).slice(0,4).map(k => <span key={k} className="tag">{k}</span>)}
-              </div>
-            </div>
-          ))}
-          {(!events || events.length===0) && (
-            <div className="hint">No events yet. Try changing search/language.</div>
+              Live
+            </span>
+          )}
+          {newCount > 0 && (
+            <button className="new-badge" onClick={()=>setNewCount(0)} title="Dismiss">
+              {newCount.toLocaleString()} new {newCount === 1 ? "article" : "articles"}
+            </button>
           )}
         </div>
+        {snapshotAt != null && (
+          <div className="stale-badge" title="The server couldn't be reached; these are the last results saved on this device">
+            Offline snapshot{snapshotAt ? ` · saved ${formatDateTime(snapshotAt)}` : ""}
+          </div>
+        )}
+        {!selectedEvent && articles.length > 0 && (
+          <div className="news-summary">
+            <span>
+              {newsPaging?.total != null
+                ? `${articles.length.toLocaleString()} of ${newsPaging.total.toLocaleString()} articles`
+                : `${articles.length.toLocaleString()} articles`}
+            </span>
+            {newsPaging?.hasMore && (
+              <button
+                className="btn-outline btn-small"
+                onClick={loadMoreNews}
+                disabled={isLoading || isLoadingMore}
+              >
+                {isLoadingMore ? "Loading..." : "Load more"}
+              </button>
+            )}
+          </div>
+        )}
+        <div className="view-toggle panel-tabs" role="tablist" aria-label="Panel">
+          {[["events", "Events"], ["articles", `Articles (${articles.length.toLocaleString()})`]].map(([value, label]) => (
+            <button
+              key={value}
+              role="tab"
+              className={panelTab === value ? "active" : ""}
+              aria-selected={panelTab === value}
+              tabIndex={panelTab === value ? 0 : -1}
+              onClick={()=>setPanelTab(value)}
+              onKeyDown={(e)=>onTabKey(e, ["events", "articles"])}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {panelTab === "articles" && (
+          <div className="list-filters">
+            <input
+              type="search"
+              placeholder="Filter articles"
+              aria-label="Filter articles"
+              value={listFilter.text}
+              onChange={(e)=>setListFilter({ ...listFilter, text: e.target.value })}
+            />
+            <div className="list-filter-row">
+              <select aria-label="Source" value={listFilter.source} onChange={(e)=>setListFilter({ ...listFilter, source: e.target.value })}>
+                <option value="">All sources</option>
+                {listOptions.sources.map(src => <option key={src} value={src}>{src}</option>)}
+              </select>
+              <select aria-label="Sentiment" value={listFilter.sentiment} onChange={(e)=>setListFilter({ ...listFilter, sentiment: e.target.value })}>
+                <option value="">All sentiments</option>
+                {SENTIMENTS.map(v => <option key={v} value={v}>{titleCase(v)}</option>)}
+              </select>
+            </div>
+            <div className="list-filter-row">
+              <select aria-label="Country" value={listFilter.country} onChange={(e)=>setListFilter({ ...listFilter, country: e.target.value })}>
+                <option value="">All countries</option>
+                {listOptions.countries.map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+              <select aria-label="Sort articles" value={listSort} onChange={(e)=>setListSort(e.target.value)}>
+                {ARTICLE_SORTS.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+              </select>
+            </div>
+            {selectedEvent && <div className="hint">Article pins are hidden while an event is open.</div>}
+          </div>
+        )}
+        {panelTab === "articles" && (
+          <div className="article-list" ref={articleListRef} aria-label="Articles" onMouseLeave={()=>highlightPin(null)}>
+            {listRows.slice(0, LIST_MAX_ROWS).map(a => {
+              const key = articleKey(a); // raw for the pin layer, string for the DOM
+              return (
+                <button
+                  type="button"
+                  key={key}
+                  data-key={String(key)}
+                  className={`article-row ${pickedKey === String(key) ? "active" : ""}`}
+                  aria-current={pickedKey === String(key) ? "true" : undefined}
+                  onMouseEnter={()=>highlightPin(key)}
+                  onFocus={()=>highlightPin(key)}
+                  onClick={()=>openFromList(key)}
+                >
+                  <span className="article-row-title">{a.title}</span>
+                  <span className="article-row-meta">
+                    <span className={`sent-dot sent-${a.sentiment || "neutral"}`} title={a.sentiment || "neutral"} />
+                    <span className="sr-only">{a.sentiment || "neutral"},</span>
+                    <span>{a.source || "—"}</span>
+                    <span>{countryName(a.country)}</span>
+                    <span>{formatDateTime(publishedOf(a))}</span>
+                  </span>
+                </button>
+              );
+            })}
+            {listRows.length > LIST_MAX_ROWS && (
+              <div className="hint">
+                Showing {LIST_MAX_ROWS} of {listRows.length.toLocaleString()}. Narrow the filters to see the rest.
+              </div>
+            )}
+            {!listRows.length && (
+              <div className="hint">{articles.length ? "No articles match these filters." : "No articles loaded yet."}</div>
+            )}
+          </div>
+        )}
+        {panelTab === "events" && (
+          <div className="events-list" role="list" aria-label="Events" ref={eventsListRef}>
+            {(events || []).map((ev, i) => (
+              <div
+                key={ev.event_id}
+                role="listitem"
+                className={`event-card ${selectedEvent?.event_id===ev.event_id ? "active":""}`}
+              >
+                <button
+                  type="button"
+                  className="event-card-main"
+                  tabIndex={i === focusedEvent ? 0 : -1}
+                  aria-current={selectedEvent?.event_id===ev.event_id ? "true" : undefined}
+                  onClick={() => loadEventDetails(ev.event_id)}
+                  onFocus={() => setEventFocus(i)}
+                  onKeyDown={(e) => onEventKey(e, i)}
+                >
+                  <span className="ev-title">{ev.title}</span>
+                  <span className="ev-meta">
+                    <span>{ev.article_count} articles</span>
+                    <span>{ev.country_count} countries</span>
+                  </span>
+                  <span className="ev-tags">
+                    {(ev.keywords || []).slice(0,4).map(k => <span key={k} className="tag">{k}</span>)}
+                  </span>
+                </button>
+                {selectedEvent?.event_id===ev.event_id && spread && (
+                  <div className="ev-spread">
+                    <span>
+                      First reported in <strong>{countryName(spread.origin.country)}</strong>
+                      {" · "}reached {spread.legs.length} more {spread.legs.length === 1 ? "country" : "countries"}
+                      {" "}within {formatDelay(spread.legs[spread.legs.length - 1].delayMs).slice(1)}
+                    </span>
+                    <button
+                      className="btn-outline btn-small"
+                      onClick={()=>{
+                        const v = window.cesiumViewer;
+                        if (v) setSpread(drawPropagation(v, countries));
+                      }}
+                    >
+                      Replay
+                    </button>
+                  </div>
+                )}
+                {selectedEvent?.event_id===ev.event_id && countries.length > 0 && (
+                  <details className="ev-countries">
+                    <summary>Countries in this event ({countries.length})</summary>
+                    <ul>
+                      {countries.map(c => (
+                        <li key={c.country}>
+                          <button type="button" onClick={()=>openCountry(c)}>
+                            {countryName(c.country)} — {c.count} articles ({c.avg_sentiment || "neutral"})
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            ))}
+            {(!events || events.length===0) && eventsStatus === "error" && (
+              <div className="hint hint-error">
+                Couldn't load events.{" "}
+                <button className="btn-outline btn-small" onClick={loadEvents} disabled={isLoading}>
+                  Retry
+                </button>
+              </div>
+            )}
+            {(!events || events.length===0) && eventsStatus === "ok" && (
+              <div className="hint">No events match these filters. Try a wider date range or lower minimums.</div>
+            )}
+            {(!events || events.length===0) && eventsStatus === "idle" && (
+              <div className="hint">No events yet. Try changing search/language.</div>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Right: Filters */}
       <div className="filter-panel">
         <h3 style={{marginTop:0}}>Filters</h3>
+
+        {/* Saved searches: pick to apply, save the current filters, share as JSON */}
+        <div className="saved-searches">
+          <div className="saved-row">
+            <select
+              aria-label="Saved searches"
+              value={savedId}
+              onChange={(e)=>applySaved(e.target.value)}
+            >
+              <option value="">{savedSearches.length ? "Saved searches..." : "No saved searches"}</option>
+              {savedSearches.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+            <button className="btn-outline btn-small" onClick={deleteSaved} disabled={!savedId}>
+              Delete
+            </button>
+          </div>
+          <div className="saved-row">
+            <input
+              value={saveName}
+              onChange={(e)=>setSaveName(e.target.value)}
+              onKeyDown={(e)=>{ if (e.key === "Enter") saveCurrentSearch(); }}
+              placeholder="Name current filters"
+              aria-label="Saved search name"
+            />
+            <button className="btn-outline btn-small" onClick={saveCurrentSearch} disabled={!saveName.trim()}>
+              Save
+            </button>
+          </div>
+          <div className="saved-io">
+            <button className="link-btn" onClick={exportSaved} disabled={!savedSearches.length}>Export</button>
+            <button className="link-btn" onClick={()=>importRef.current?.click()}>Import</button>
+            <input ref={importRef} type="file" accept="application/json,.json" hidden onChange={importSaved} />
+            {savedNote && <span className="saved-note">{savedNote}</span>}
+          </div>
+        </div>
         <label>
           Search
           <input value={q} onChange={(e)=>setQ(e.target.value)} placeholder="e.g. Tesla, Ukraine..." />
@@ -590,61 +1548,76 @@ export default function App() {
         </label>
 
         <label>
-          Start date/time
-          <div className="dtl-wrap" data-12h={USES_12H ? "1" : "0"}>
-            <input
-              ref={startRef}
-              type="datetime-local"
-              value={dateStart}
-              onChange={(e)=>setDateStart(e.target.value)}
-            />
-            {/* hides native --:-- -- until there’s a value */}
-            {!dateStart && <span className="dtl-cover" aria-hidden="true" />}
-            {/* separate hover/click zones for tooltips */}
-            {!dateStart && (
-              <>
-                <span
-                  className="dtl-hit dtl-date"
-                  title={`Date format: ${DATE_HINT}`}
-                  onClick={()=>startRef.current?.showPicker?.() || startRef.current?.focus()}
-                />
-                <span
-                  className="dtl-hit dtl-time"
-                  title={`Time format: ${TIME_HINT}`}
-                  onClick={()=>startRef.current?.showPicker?.() || startRef.current?.focus()}
-                />
-              </>
-            )}
-          </div>
+          Date range
+          <select value={datePreset} onChange={(e)=>setDatePreset(e.target.value)}>
+            {DATE_PRESETS.map(p => <option key={p.id || "any"} value={p.id}>{p.label}</option>)}
+          </select>
         </label>
 
+        {datePreset === "custom" && (
+          <>
+          <label>
+            Start date/time
+            <div className="dtl-wrap" data-12h={USES_12H ? "1" : "0"}>
+              <input
+                ref={startRef}
+                type="datetime-local"
+                value={dateStart}
+                onChange={(e)=>setDateStart(e.target.value)}
+              />
+              {/* hides native --:-- -- until there’s a value */}
+              {!dateStart && <span className="dtl-cover" aria-hidden="true" />}
+              {/* separate hover/click zones for tooltips */}
+              {!dateStart && (
+                <>
+                  <span
+                    className="dtl-hit dtl-date"
+                    title={`Date format: ${DATE_HINT}`}
+                    onClick={()=>startRef.current?.showPicker?.() || startRef.current?.focus()}
+                  />
+                  <span
+                    className="dtl-hit dtl-time"
+                    title={`Time format: ${TIME_HINT}`}
+                    onClick={()=>startRef.current?.showPicker?.() || startRef.current?.focus()}
+                  />
+                </>
+              )}
+            </div>
+          </label>
+
+
+          <label>
+            End date/time
+            <div className="dtl-wrap" data-12h={USES_12H ? "1" : "0"}>
+              <input
+                ref={endRef}
+                type="datetime-local"
+                value={dateEnd}
+                onChange={(e)=>setDateEnd(e.target.value)}
+              />
+              {!dateEnd && <span className="dtl-cover" aria-hidden="true" />}
+              {!dateEnd && (
+                <>
+                  <span
+                    className="dtl-hit dtl-date"
+                    title={`Date format: ${DATE_HINT}`}
+                    onClick={()=>endRef.current?.showPicker?.() || endRef.current?.focus()}
+                  />
+                  <span
+                    className="dtl-hit dtl-time"
+                    title={`Time format: ${TIME_HINT}`}
+                    onClick={()=>endRef.current?.showPicker?.() || endRef.current?.focus()}
+                  />
+                </>
+              )}
+            </div>
+          </label>
+          </>
+        )}
 
-        <label>
-          End date/time
-          <div className="dtl-wrap" data-12h={USES_12H ? "1" : "0"}>
-            <input
-              ref={endRef}
-              type="datetime-local"
-              value={dateEnd}
-              onChange={(e)=>setDateEnd(e.target.value)}
-            />
-            {!dateEnd && <span className="dtl-cover" aria-hidden="true" />}
-            {!dateEnd && (
-              <>
-                <span
-                  className="dtl-hit dtl-date"
-                  title={`Date format: ${DATE_HINT}`}
-                  onClick={()=>endRef.current?.showPicker?.() || endRef.current?.focus()}
-                />
-                <span
-                  className="dtl-hit dtl-time"
-                  title={`Time format: ${TIME_HINT}`}
-                  onClick={()=>endRef.current?.showPicker?.() || endRef.current?.focus()}
-                />
-              </>
-            )}
-          </div>
-        </label>
+        <div className={`range-note ${dateRange.error ? "range-error" : ""}`} aria-live="polite">
+          {dateRange.error || formatUtcRange(dateRange)}
+        </div>
 
 
 
@@ -675,20 +1648,61 @@ export default function App() {
           <span className="label-text">Show original text</span>
         </label>
 
-        {/* Min countries + Min articles as compact dropdowns */}
-        <div className="min-row">
-          <div className="min-item">
-            <span className="mini-label">Min countries</span>
-            <select
-              className="mini-select"
-              value={minCountries}
-              onChange={(e)=>setMinCountries(parseInt(e.target.value, 10))}
-            >
-              {Array.from({ length: 20 }, (_, i) => i + 1).map(n => (
-                <option key={n} value={n}>{n}</option>
-              ))}
-            </select>
-          </div>
+        <label className="row">
+          <input
+            type="checkbox"
+            checked={playback}
+            onChange={(e)=>setPlayback(e.target.checked)}
+          />
+          <span className="label-text">Timeline playback</span>
+        </label>
+
+        <label className="row">
+          <input
+            type="checkbox"
+            checked={live}
+            onChange={(e)=>setLive(e.target.checked)}
+          />
+          <span className="label-text">Live updates</span>
+          <select
+            disabled={!live}
+            value={liveSource}
+            onChange={(e)=>setLiveSource(e.target.value)}
+            aria-label="Live update source"
+          >
+            <option value="poll">Every minute</option>
+            <option value="stream">Push stream</option>
+          </select>
+        </label>
+
+        <div className="view-toggle" role="group" aria-label="Map view">
+          <span className="mini-label">View</span>
+          {[["pins", "Pins"], ["heatmap", "Heatmap"]].map(([value, label]) => (
+            <button
+              key={value}
+              className={mapView === value ? "active" : ""}
+              aria-pressed={mapView === value}
+              onClick={()=>setMapView(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Min countries + Min articles as compact dropdowns */}
+        <div className="min-row">
+          <div className="min-item">
+            <span className="mini-label">Min countries</span>
+            <select
+              className="mini-select"
+              value={minCountries}
+              onChange={(e)=>setMinCountries(parseInt(e.target.value, 10))}
+            >
+              {Array.from({ length: 20 }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </div>
 
           <div className="min-item">
             <span className="mini-label">Min articles</span>
@@ -705,20 +1719,29 @@ export default function App() {
         </div>
 
         <div className="btn-row">
-          <button onClick={loadEvents} disabled={isLoading}>
+          <button onClick={loadEvents} disabled={isLoading || !!dateRange.error}>
             Load events & articles
           </button>
           <button className="btn-outline btn-small" onClick={handleClearFilters} disabled={isLoading}>
             Clear
           </button>
         </div>
+
+        <label className="row privacy-row">
+          <input
+            type="checkbox"
+            checked={!metricsOptOut}
+            onChange={(e)=>toggleMetrics(e.target.checked)}
+          />
+          <span className="label-text">Share anonymous performance stats</span>
+        </label>
       </div>
 
       {/* Bottom details for picked country */}
       {pickedCountry && (
-        <div className="details-card">
-          <h3 style={{marginTop:0}}>
-            {pickedCountry.country} — {pickedCountry.count} articles
+        <div className="details-card" role="dialog" aria-labelledby="country-card-title">
+          <h3 id="country-card-title" ref={cardHeadingRef} tabIndex={-1} style={{marginTop:0}}>
+            {countryName(pickedCountry.country)} — {pickedCountry.count} articles
           </h3>
           {/* Country meta */}
           <div style={{margin:"10px 0"}}>
@@ -767,8 +1790,8 @@ export default function App() {
 
       {/* Bottom details for picked article */}
       {pickedArticle && (
-        <div className="details-card">
-          <h3 style={{marginTop:0}}>
+        <div className="details-card" role="dialog" aria-labelledby="article-card-title">
+          <h3 id="article-card-title" ref={cardHeadingRef} tabIndex={-1} style={{marginTop:0}}>
             {showOriginal && pickedArticle.origTitle ? pickedArticle.origTitle : pickedArticle.title}
           </h3>
           {/* Article meta */}
@@ -786,7 +1809,8 @@ export default function App() {
               <strong>Category:</strong> {titleCase(pickedArticle.category || category || "general")}
             </div>
             <div style={{marginBottom:4}}>
-              <strong>Country:</strong> {pickedArticle.country || "—"}
+              <strong>Country:</strong> {countryName(pickedArticle.country)}
+              {pickedArticle.city ? ` · ${pickedArticle.city}` : ""}
             </div>
             <div style={{marginBottom:0}}>
               <strong>Published:</strong> {formatDateTime(pickedArticle?.published) || "—"}
@@ -805,15 +1829,7 @@ export default function App() {
           )}
           <div className="btn-row" style={{marginTop:12}}>
             <button className="btn-primary" onClick={()=>window.open(pickedArticle.url, "_blank")}>Open article</button>
-            <button
-              className="btn-outline"
-              onClick={()=>{
-                const v = window.cesiumViewer;
-                if (!v) return;
-                const dest = window.Cesium.Cartesian3.fromDegrees(pickedArticle.lon, pickedArticle.lat, 400000);
-                v.camera.flyTo({ destination: dest });
-              }}
-            >
+            <button className="btn-outline" onClick={()=>flyToArticle(pickedArticle)}>
               Fly to
             </button>
             <button className="btn-outline" onClick={()=>setPickedArticle(null)}>Close</button>
@@ -821,17 +1837,156 @@ export default function App() {
         </div>
       )}
 
+      {/* Bottom-right: heatmap legend */}
+      {mapView === "heatmap" && (
+        <div className="heat-legend">
+          <div className="heat-legend-title">
+            {selectedEvent ? "Event coverage by country" : "Article coverage by country"}
+          </div>
+          <div
+            className="heat-legend-bar"
+            style={{
+              background: `linear-gradient(to right, ${HEAT_STOPS.map(s => `rgb(${s.color.join(",")})`).join(", ")})`,
+            }}
+          />
+          <div className="heat-legend-scale">
+            <span>Negative</span><span>Neutral</span><span>Positive</span>
+          </div>
+          <div className="heat-legend-note">Stronger shade = more articles</div>
+        </div>
+      )}
+
+      {/* Bottom: timeline playback controls */}
+      {playbackActive && (
+        <div className="playback-bar">
+          <div className="playback-controls">
+            <button className="btn-primary btn-small" onClick={togglePlay}>
+              {isPlaying ? "Pause" : "Play"}
+            </button>
+            <select
+              className="playback-speed"
+              value={playSpeed ?? ""}
+              onChange={(e)=>setPlaySpeed(Number(e.target.value))}
+            >
+              {PLAYBACK_SPEEDS.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+            </select>
+            <span className="playback-time">{clockLabel || "—"}</span>
+          </div>
+          <div ref={timelineRef} className="playback-timeline" />
+        </div>
+      )}
+
       {/* Cesium container */}
       <div
         id="cesiumContainer"
+        role="region"
+        aria-label="News globe"
+        aria-describedby="globe-help"
         style={{ position:"absolute", top:0, left:0, width:"100%", height:"100%", zIndex:0 }}
       />
+      <p id="globe-help" className="sr-only">
+        The pins in view follow as tab stops, top to bottom; Enter opens a pin and Escape closes its card.
+        Every article is also in the Articles tab, and the open event lists its countries.
+      </p>
+
+      {/* Keyboard stops over the pins in view (invisible until focused) */}
+      {pinStops.length > 0 && (
+        <ul className="pin-nav" aria-label="Pins in view">
+          {pinStops.map(p => (
+            <li key={p.key}>
+              <button
+                type="button"
+                className="pin-stop"
+                style={{ left: p.x, top: p.y }}
+                aria-label={p.label}
+                onFocus={()=>highlightEntity(p.entity)}
+                onBlur={()=>highlightEntity(null)}
+                onClick={(e)=>p.entities
+                  ? expandCluster(window.cesiumViewer, p.entities, { spider: e.shiftKey })
+                  : openPin(p.entity)}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Screen reader announcements (loads, opened events, live updates) */}
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
+      {/* Error banner (last failed request, with retry) */}
+      {loadError && (
+        <div className="error-banner" role="alert">
+          <span>{loadError.message}</span>
+          {loadError.retry && (
+            <button className="btn-primary btn-small" onClick={retryLastLoad}>Retry</button>
+          )}
+          <button className="error-dismiss" aria-label="Dismiss" onClick={()=>setLoadError(null)}>×</button>
+        </div>
+      )}
 
       {/* Loader */}
       {showLoader && (
-        <div className="loading-overlay">
+        <div className="loading-overlay" role="status">
           <div className="spinner" />
-          <div className="loading-text">{isBootingCesium ? "Starting map..." : "Loading..."}</div>
+          <div className="loading-text">
+            {isBootingCesium ? "Starting map..." : retryNote || "Loading..."}
+          </div>
+        </div>
+      )}
+
+      {/* Bottom-left: developer performance HUD */}
+      {hud && (
+        <div className="perf-hud" aria-label="Performance HUD">
+          <div className="perf-hud-head">
+            <strong>Perf</strong>
+            <span>{hud.fps ?? "—"} fps</span>
+            <span>{hud.entities ? `${hud.entities.total} entities` : "—"}</span>
+            <span>{hud.memory ? `${formatBytes(hud.memory.used)} / ${formatBytes(hud.memory.limit)}` : "heap n/a"}</span>
+            <button className="error-dismiss" aria-label="Close HUD" onClick={()=>setShowHud(false)}>×</button>
+          </div>
+          {hud.entities && (
+            <div className="perf-hud-sub">
+              {Object.entries(hud.entities).filter(([k]) => k !== "total").map(([k, n]) => `${k} ${n}`).join(" · ")}
+            </div>
+          )}
+
+          <div className="perf-hud-title">Requests</div>
+          {hud.requests.length ? (
+            <table>
+              <tbody>
+                {hud.requests.map((r, i) => (
+                  <tr key={i}>
+                    <td>{r.endpoint}</td>
+                    <td>{formatMs(r.duration_ms)}</td>
+                    <td>{formatBytes(r.bytes)}</td>
+                    <td>{r.status}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="perf-hud-sub">No network requests yet</div>
+          )}
+
+          <div className="perf-hud-title">Latest timings</div>
+          <table>
+            <tbody>
+              {hud.latest.map((m) => (
+                <tr key={m.name}>
+                  <td>{m.name}</td>
+                  <td>
+                    {m.kind === "frames"
+                      ? `p50 ${formatMs(m.frame_ms_p50)} · p95 ${formatMs(m.frame_ms_p95)}`
+                      : m.kind === "web-vital"
+                        ? (m.unit === "ms" ? formatMs(m.value) : m.value)
+                        : formatMs(m.duration_ms)}
+                    {m.placement_ms != null && ` (placement ${formatMs(m.placement_ms)})`}
+                  </td>
+                  <td>{m.count ?? ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
       )}
 
@@ -880,6 +2035,63 @@ export default function App() {
           display:flex;
           flex-direction:column;
         }
+        .events-header {
+          display:flex;
+          align-items:center;
+          gap:8px;
+          margin-bottom:12px;
+        }
+        .live-dot {
+          display:inline-flex;
+          align-items:center;
+          gap:4px;
+          font-size:11px;
+          font-weight:600;
+          color:#d93025;
+          text-transform:uppercase;
+        }
+        .live-dot::before {
+          content:"";
+          width:8px;
+          height:8px;
+          border-radius:50%;
+          background:#d93025;
+          animation: live-blink 1.6s ease-in-out infinite;
+        }
+        @keyframes live-blink { 50% { opacity:0.3; } }
+        .live-dot-off { color:#999; }
+        .live-dot-off::before { background:#999; animation:none; }
+        .new-badge {
+          margin-left:auto;
+          border:none;
+          border-radius:999px;
+          padding:3px 10px;
+          background:#007bff;
+          color:#fff;
+          font-size:12px;
+          cursor:pointer;
+        }
+        .stale-badge {
+          margin:-4px 0 8px;
+          padding:4px 8px;
+          border-radius:6px;
+          background:#fff4e5;
+          color:#8a5300;
+          border:1px solid #ffd8a8;
+          font-size:12px;
+        }
+        .news-summary {
+          display:flex;
+          align-items:center;
+          justify-content:space-between;
+          gap:8px;
+          font-size:12px;
+          color:#555;
+        }
+        .news-summary .btn-small {
+          padding:4px 10px;
+          font-size:12px;
+        }
         .events-list {
           overflow:auto;
           margin-top:10px;
@@ -890,6 +2102,16 @@ export default function App() {
           border-radius:10px;
           padding:10px;
           margin-bottom:8px;
+        }
+        .event-card-main {
+          display:block;
+          width:100%;
+          padding:0;
+          border:none;
+          background:none;
+          font:inherit;
+          color:inherit;
+          text-align:left;
           cursor:pointer;
         }
         .event-card.active {
@@ -897,6 +2119,7 @@ export default function App() {
           box-shadow:0 0 0 2px rgba(0,123,255,0.15);
         }
         .ev-title {
+          display:block;
           font-weight:600;
           font-size:14px;
         }
@@ -913,12 +2136,54 @@ export default function App() {
           gap:6px;
           flex-wrap:wrap;
         }
+        .ev-spread {
+          display:flex;
+          align-items:center;
+          justify-content:space-between;
+          gap:8px;
+          margin-top:8px;
+          font-size:12px;
+          color:#4c1d95;
+        }
+        .ev-spread .btn-small {
+          flex-shrink:0;
+          padding:3px 8px;
+          font-size:12px;
+        }
         .tag {
           font-size:11px;
           padding:2px 6px;
           border-radius:999px;
           background:#f0f3f7;
         }
+        .ev-countries {
+          margin-top:8px;
+          font-size:12px;
+        }
+        .ev-countries summary {
+          cursor:pointer;
+          color:#007bff;
+        }
+        .ev-countries ul {
+          list-style:none;
+          margin:6px 0 0;
+          padding:0;
+          max-height:160px;
+          overflow:auto;
+        }
+        .ev-countries li button {
+          width:100%;
+          padding:3px 4px;
+          border:none;
+          background:none;
+          font:inherit;
+          color:inherit;
+          text-align:left;
+          cursor:pointer;
+        }
+        .ev-countries li button:hover {
+          background:#f5f9ff;
+        }
         .filter-panel {
           position:absolute;
           top:20px;
@@ -963,6 +2228,62 @@ export default function App() {
           align-items:center;
           gap:8px;
         }
+        .saved-searches {
+          padding-bottom:8px;
+          margin-bottom:4px;
+          border-bottom:1px solid #eee;
+        }
+        .filter-panel .saved-row {
+          display:flex;
+          align-items:center;
+          gap:6px;
+          margin:6px 0;
+        }
+        .filter-panel .saved-row select,
+        .filter-panel .saved-row input {
+          flex:1;
+          min-width:0;
+          margin-top:0;
+          height:32px;
+        }
+        .saved-row .btn-small {
+          flex-shrink:0;
+          padding:4px 10px;
+          font-size:12px;
+        }
+        .saved-io {
+          display:flex;
+          align-items:baseline;
+          gap:10px;
+          font-size:12px;
+        }
+        .link-btn {
+          border:none;
+          background:none;
+          padding:0;
+          color:#007bff;
+          font-size:12px;
+          cursor:pointer;
+        }
+        .link-btn:disabled {
+          color:#aaa;
+          cursor:default;
+        }
+        .saved-note {
+          color:#555;
+          overflow:hidden;
+          text-overflow:ellipsis;
+          white-space:nowrap;
+        }
+        .range-note {
+          margin:-2px 0 8px;
+          font-size:11px;
+          color:#666;
+          font-variant-numeric: tabular-nums;
+        }
+        .range-note.range-error {
+          color:#c62828;
+        }
         .btn-row {
           display:flex;
           gap:8px;
@@ -977,6 +2298,291 @@ export default function App() {
           color:#fff;
           cursor:pointer;
         }
+        .view-toggle {
+          display:flex;
+          align-items:center;
+          gap:6px;
+          margin:4px 0 10px;
+        }
+        .view-toggle .mini-label {
+          margin-right:auto;
+        }
+        .view-toggle button {
+          padding:4px 10px;
+          font-size:12px;
+          border:1px solid #007bff;
+          border-radius:6px;
+          background:#fff;
+          color:#007bff;
+          cursor:pointer;
+        }
+        .view-toggle button.active {
+          background:#007bff;
+          color:#fff;
+        }
+        .panel-tabs button {
+          flex:1;
+        }
+        .list-filters {
+          display:flex;
+          flex-direction:column;
+          gap:6px;
+        }
+        .list-filters input,
+        .list-filters select {
+          width:100%;
+          padding:5px 6px;
+          font-size:12px;
+          border:1px solid #ccc;
+          border-radius:6px;
+          box-sizing:border-box;
+        }
+        .list-filter-row {
+          display:flex;
+          gap:6px;
+        }
+        .article-list {
+          overflow:auto;
+          margin-top:10px;
+          padding-right:4px;
+        }
+        .article-row {
+          display:block;
+          width:100%;
+          border:1px solid #e6e6e6;
+          border-radius:8px;
+          padding:7px 9px;
+          margin-bottom:6px;
+          background:#fff;
+          color:inherit;
+          font:inherit;
+          text-align:left;
+          cursor:pointer;
+          font-size:13px;
+        }
+        .article-row:hover {
+          background:#f5f9ff;
+        }
+        .article-row.active {
+          border-color:#007bff;
+          box-shadow:0 0 0 2px rgba(0,123,255,0.15);
+        }
+        .article-row-title {
+          display:block;
+          font-weight:600;
+          line-height:1.3;
+        }
+        .article-row-meta {
+          display:flex;
+          flex-wrap:wrap;
+          align-items:center;
+          gap:4px 8px;
+          margin-top:3px;
+          font-size:11px;
+          color:#666;
+        }
+        .sent-dot {
+          width:8px;
+          height:8px;
+          border-radius:50%;
+          background:#f2c200;
+        }
+        .sent-dot.sent-positive { background:#2e9d3a; }
+        .sent-dot.sent-negative { background:#d32f2f; }
+        .heat-legend {
+          position:absolute;
+          right:20px;
+          bottom:64px;  /* above the Cesium toolbar row */
+          z-index:1000;
+          width:220px;
+          background:#ffffffee;
+          border-radius:12px;
+          padding:10px 12px;
+          box-shadow:0 2px 10px rgba(0,0,0,0.15);
+          font-family:sans-serif;
+          font-size:12px;
+        }
+        .heat-legend-title {
+          font-weight:600;
+          margin-bottom:6px;
+        }
+        .heat-legend-bar {
+          height:10px;
+          border-radius:5px;
+        }
+        .heat-legend-scale {
+          display:flex;
+          justify-content:space-between;
+          color:#555;
+          margin-top:3px;
+        }
+        .heat-legend-note {
+          color:#777;
+          margin-top:4px;
+        }
+        .perf-hud {
+          position:absolute;
+          left:20px;
+          bottom:20px;
+          z-index:1200;
+          width:380px;
+          max-height:50vh;
+          overflow:auto;
+          background:rgba(20,22,28,0.88);
+          color:#e6e6e6;
+          border-radius:8px;
+          padding:8px 10px;
+          font:11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+        }
+        .perf-hud-head {
+          display:flex;
+          align-items:center;
+          gap:10px;
+        }
+        .perf-hud-head .error-dismiss {
+          margin-left:auto;
+          color:#e6e6e6;
+        }
+        .perf-hud-sub {
+          color:#9aa0a6;
+        }
+        .perf-hud-title {
+          margin-top:6px;
+          color:#8ab4f8;
+        }
+        .perf-hud table {
+          width:100%;
+          border-collapse:collapse;
+        }
+        .perf-hud td {
+          padding:1px 4px 1px 0;
+          white-space:nowrap;
+        }
+        .perf-hud td:first-child {
+          white-space:normal;
+        }
+        .playback-bar {
+          position:absolute;
+          left:340px;   /* clear of the Events panel */
+          right:300px;  /* clear of the Cesium toolbar */
+          bottom:20px;
+          z-index:1000;
+          background:#ffffffee;
+          border-radius:12px;
+          padding:8px 10px;
+          box-shadow:0 2px 10px rgba(0,0,0,0.15);
+          font-family:sans-serif;
+        }
+        .playback-controls {
+          display:flex;
+          align-items:center;
+          gap:8px;
+          margin-bottom:6px;
+          font-size:12px;
+        }
+        .playback-controls .btn-small {
+          padding:4px 12px;
+          font-size:12px;
+        }
+        .playback-speed {
+          height:26px;
+          border:1px solid #ddd;
+          border-radius:6px;
+        }
+        .playback-time {
+          margin-left:auto;
+          font-variant-numeric: tabular-nums;
+          color:#333;
+        }
+        .playback-timeline {
+          position:relative;
+          height:28px;
+        }
+        .error-banner {
+          position:absolute;
+          top:20px;
+          left:50%;
+          transform:translateX(-50%);
+          z-index:1300; /* above the loader */
+          display:flex;
+          align-items:center;
+          gap:10px;
+          max-width:520px;
+          background:#fdecea;
+          color:#8a1c14;
+          border:1px solid #f5c2bd;
+          border-radius:10px;
+          padding:8px 10px 8px 14px;
+          box-shadow:0 2px 10px rgba(0,0,0,0.15);
+          font-family:sans-serif;
+          font-size:13px;
+        }
+        .error-banner .btn-small {
+          padding:4px 10px;
+          font-size:12px;
+          flex-shrink:0;
+        }
+        .error-dismiss {
+          border:none;
+          background:transparent;
+          color:#8a1c14;
+          font-size:18px;
+          line-height:1;
+          cursor:pointer;
+        }
+        .hint-error {
+          color:#8a1c14;
+        }
+        .hint-error .btn-small {
+          padding:3px 8px;
+          font-size:12px;
+          margin-left:4px;
+        }
+        button:focus-visible,
+        summary:focus-visible {
+          outline:2px solid #007bff;
+          outline-offset:2px;
+        }
+        .details-card h3:focus {
+          outline:none; /* focused on open so screen readers start here */
+        }
+        .sr-only {
+          position:absolute;
+          width:1px;
+          height:1px;
+          margin:-1px;
+          padding:0;
+          overflow:hidden;
+          clip:rect(0 0 0 0);
+          white-space:nowrap;
+          border:0;
+        }
+        .pin-nav {
+          position:absolute;
+          inset:0;
+          z-index:1;
+          margin:0;
+          padding:0;
+          list-style:none;
+          pointer-events:none; /* the globe still gets every click */
+        }
+        .pin-stop {
+          position:absolute;
+          width:30px;
+          height:30px;
+          transform:translate(-50%, -50%);
+          padding:0;
+          border:none;
+          border-radius:50%;
+          background:transparent;
+          opacity:0;
+        }
+        .pin-stop:focus-visible {
+          opacity:1;
+          outline:3px solid #ffbf00;
+          outline-offset:0;
+          box-shadow:0 0 0 5px rgba(0,0,0,0.45);
+        }
         .loading-overlay {
           position: absolute;
           inset: 0;
@@ -1095,6 +2701,7 @@ export default function App() {
         .filter-panel .row .label-text { white-space: nowrap; }
         .filter-panel .row select { width: auto; flex: 1; min-width: 90px; }
         .filter-panel .row input[type="checkbox"] { width: auto; }
+        .filter-panel .privacy-row { margin-top:8px; font-size:12px; color:#666; }
 
         /* Inline, compact controls for the two mins */
         .filter-panel .min-row{
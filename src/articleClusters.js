@@ -0,0 +1,250 @@
+// src/articleClusters.js
+// Screen-space clustering for article pins: a dedicated Cesium data source with
+// EntityCluster, count badges coloured by dominant sentiment, click-to-expand and spider-out.
+
+const LAYER_NAME = "articles";
+const PIN_HEIGHT = 80000; // must match the article billboard altitude in App
+
+const SENTIMENT_COLORS = {
+  positive: "#2e9e44",
+  neutral: "#e0a800",
+  negative: "#d93025",
+};
+
+// ---------- Badges ----------
+const badgeCache = new Map(); // "count|sentiment" -> data URL
+
+/** Badge diameter in px for a cluster of `count` pins. */
+export function badgeSize(count) {
+  if (count < 10) return 30;
+  if (count < 50) return 36;
+  if (count < 200) return 42;
+  return 48;
+}
+
+function badgeImage(count, sentiment) {
+  const key = `${count}|${sentiment}`;
+  if (badgeCache.has(key)) return badgeCache.get(key);
+
+  const size = badgeSize(count);
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return undefined;
+
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2 - 2, 0, 2 * Math.PI);
+  ctx.fillStyle = SENTIMENT_COLORS[sentiment] || SENTIMENT_COLORS.neutral;
+  ctx.globalAlpha = 0.9;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "#ffffff";
+  ctx.stroke();
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `bold ${Math.round(size * 0.4)}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(count > 999 ? "999+" : String(count), size / 2, size / 2 + 1);
+
+  const url = canvas.toDataURL();
+  badgeCache.set(key, url);
+  return url;
+}
+
+/** Sentiment that colours a cluster badge: the most common among its members. */
+export function dominantSentiment(entities) {
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  for (const e of entities) {
+    const s = e?.articleData?.sentiment;
+    counts[s in counts ? s : "neutral"]++;
+  }
+  // Ties lean neutral, then negative (a mixed cluster shouldn't look "good")
+  return ["neutral", "negative", "positive"].reduce((best, s) => (counts[s] > counts[best] ? s : best), "neutral");
+}
+
+// ---------- Rendered clusters ----------
+// Badges of the latest clustering pass, recorded from clusterEvent so keyboard stops can
+// follow what is drawn. Cesium raises clusterEvent synchronously for every badge of a pass,
+// so a pass is one microtask's worth of events. A pass that draws no badge raises nothing,
+// so a new pass is also started before whatever triggers one: a camera change (heard
+// before Cesium's own listener), pins added or removed, and clustering switched back on.
+const rendered = new WeakMap(); // data source -> { clusters: [{ entities, position }], passOpen, listeners }
+
+function renderedState(ds) {
+  if (!rendered.has(ds)) rendered.set(ds, { clusters: [], passOpen: false, listeners: new Set() });
+  return rendered.get(ds);
+}
+
+// Forget the previous pass (once per microtask) and tell listeners when this one is done
+function startPass(ds) {
+  const state = renderedState(ds);
+  if (state.passOpen) return;
+  state.passOpen = true;
+  state.clusters = [];
+  queueMicrotask(() => {
+    state.passOpen = false;
+    for (const fn of state.listeners) fn();
+  });
+}
+
+/** Cluster badges on screen now, as `{ entities, position }`. */
+export function renderedClusters(viewer) {
+  const ds = getArticleLayer(viewer);
+  if (!ds.show || !ds.clustering.enabled) return [];
+  return renderedState(ds).clusters.slice();
+}
+
+/** Call `fn` after each clustering pass; returns the remover. */
+export function onClustersChanged(viewer, fn) {
+  const { listeners } = renderedState(getArticleLayer(viewer));
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// ---------- Layer ----------
+/** The clustered article data source (created and added to the viewer on first use). */
+export function getArticleLayer(viewer) {
+  const existing = viewer.dataSources.getByName(LAYER_NAME)[0];
+  if (existing) return existing;
+
+  const Cesium = window.Cesium;
+  const ds = new Cesium.CustomDataSource(LAYER_NAME);
+  const clustering = ds.clustering;
+  clustering.enabled = true;
+  clustering.pixelRange = 45;
+  clustering.minimumClusterSize = 3;
+
+  clustering.clusterEvent.addEventListener((entities, cluster) => {
+    startPass(ds);
+    renderedState(ds).clusters.push({ entities, position: Cesium.Cartesian3.clone(cluster.billboard.position) });
+    const image = badgeImage(entities.length, dominantSentiment(entities));
+    if (!image) return; // no canvas: keep Cesium's default label
+    cluster.label.show = false;
+    cluster.billboard.show = true;
+    cluster.billboard.id = cluster.label.id; // entities array → picked.id on click
+    cluster.billboard.image = image;
+    cluster.billboard.verticalOrigin = Cesium.VerticalOrigin.CENTER;
+  });
+
+  // Added before the layer, so these run ahead of Cesium's reclustering
+  viewer.camera.changed.addEventListener(() => startPass(ds));
+  ds.entities.collectionChanged.addEventListener(() => startPass(ds));
+
+  viewer.dataSources.add(ds);
+  return ds;
+}
+
+/** True when a `scene.pick` result is a cluster badge (its id is the member entities). */
+export function isClusterPick(picked) {
+  return !!picked && Array.isArray(picked.id);
+}
+
+// ---------- Spider-out ----------
+/**
+ * Ground offsets `{ east, north }` in meters for `count` fanned-out pins: rings of
+ * `perRing` around the centre, each ring wider and slightly rotated.
+ */
+export function spiderOffsets(count, { baseR, perRing = 12 }) {
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    const ring = Math.floor(i / perRing);
+    const inRing = Math.min(perRing, count - ring * perRing);
+    const theta = (2 * Math.PI * (i % perRing)) / inRing + ring * 0.3;
+    const r = baseR * (1 + ring * 0.7);
+    offsets.push({ east: r * Math.cos(theta), north: r * Math.sin(theta) });
+  }
+  return offsets;
+}
+
+let spider = null; // { viewer, originals: Map(entity -> position property), legs: Entity[] }
+
+/** Fan a cluster's entities out on a ring around their centre, with legs back to it. */
+export function spiderfy(viewer, entities) {
+  unspiderfy();
+  if (!entities?.length) return;
+
+  const Cesium = window.Cesium;
+  const ds = getArticleLayer(viewer);
+  const now = viewer.clock.currentTime;
+
+  const carto = entities
+    .map((e) => e.position?.getValue(now))
+    .filter(Boolean)
+    .map((p) => Cesium.Cartographic.fromCartesian(p));
+  if (!carto.length) return;
+  const cLat = carto.reduce((s, c) => s + c.latitude, 0) / carto.length;
+  const cLon = carto.reduce((s, c) => s + c.longitude, 0) / carto.length;
+  const center = Cesium.Cartesian3.fromRadians(cLon, cLat, PIN_HEIGHT);
+
+  // Ring radius follows the camera so the fan keeps roughly the same on-screen size
+  const height = viewer.camera.positionCartographic.height;
+  const offsets = spiderOffsets(entities.length, { baseR: height * 0.035 });
+
+  ds.clustering.enabled = false;
+  const originals = new Map();
+  const legs = [];
+
+  entities.forEach((e, i) => {
+    const { east, north } = offsets[i];
+    const dLat = north / 6371000;
+    const dLon = east / (6371000 * Math.max(Math.cos(cLat), 1e-6));
+    const pos = Cesium.Cartesian3.fromRadians(cLon + dLon, cLat + dLat, PIN_HEIGHT);
+
+    originals.set(e, e.position);
+    e.position = new Cesium.ConstantPositionProperty(pos);
+    legs.push(
+      ds.entities.add({
+        polyline: {
+          positions: [center, pos],
+          width: 1.5,
+          material: Cesium.Color.fromCssColorString("#334155").withAlpha(0.7),
+          arcType: Cesium.ArcType.NONE,
+        },
+      })
+    );
+  });
+
+  spider = { viewer, originals, legs };
+}
+
+/** Undo `spiderfy` (no-op when nothing is fanned out). */
+export function unspiderfy() {
+  if (!spider) return;
+  const { viewer, originals, legs } = spider;
+  spider = null;
+  const ds = viewer.isDestroyed?.() ? null : getArticleLayer(viewer);
+  if (!ds) return;
+
+  for (const [e, pos] of originals) e.position = pos;
+  for (const leg of legs) ds.entities.remove(leg);
+  startPass(ds);
+  ds.clustering.enabled = true;
+}
+
+/**
+ * Handle a click on a cluster badge: zoom to its members, or spider them out when
+ * zooming can't separate them any further (or when `spider` is forced, e.g. Shift+click).
+ */
+export function expandCluster(viewer, entities, { spider: forceSpider = false } = {}) {
+  const Cesium = window.Cesium;
+  const now = viewer.clock.currentTime;
+  const positions = entities.map((e) => e.position?.getValue(now)).filter(Boolean);
+  if (!positions.length) return;
+
+  const sphere = Cesium.BoundingSphere.fromPoints(positions);
+  const height = viewer.camera.positionCartographic.height;
+  const minZoom = viewer.scene.screenSpaceCameraController.minimumZoomDistance;
+  const range = Math.max(sphere.radius * 4, minZoom * 1.2);
+
+  if (forceSpider || range >= height * 0.7) {
+    spiderfy(viewer, entities);
+    return;
+  }
+  unspiderfy();
+  viewer.camera.flyToBoundingSphere(sphere, {
+    offset: new Cesium.HeadingPitchRange(0, -Math.PI / 2, range),
+    duration: 1.2,
+  });
+}
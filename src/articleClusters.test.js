@@ -0,0 +1,91 @@
+import { badgeSize, dominantSentiment, getArticleLayer, isClusterPick, onClustersChanged, renderedClusters, spiderOffsets } from './articleClusters';
+
+const pins = (...sentiments) => sentiments.map((sentiment) => ({ articleData: { sentiment } }));
+
+test('badges grow with the cluster size', () => {
+  expect([3, 9, 10, 49, 50, 199, 200, 5000].map(badgeSize)).toEqual([30, 30, 36, 36, 42, 42, 48, 48]);
+});
+
+test('the most common sentiment colours the badge; ties lean neutral, then negative', () => {
+  expect(dominantSentiment(pins('positive', 'positive', 'negative'))).toBe('positive');
+  expect(dominantSentiment(pins('positive', 'negative'))).toBe('negative');
+  expect(dominantSentiment(pins('positive', 'neutral'))).toBe('neutral');
+  expect(dominantSentiment(pins(undefined, 'mixed', 'positive'))).toBe('neutral');
+});
+
+test('spider offsets put up to 12 pins evenly on one ring', () => {
+  const offsets = spiderOffsets(4, { baseR: 100 });
+  const round = (v) => Math.round(v) + 0; // + 0 turns -0 into 0
+  expect(offsets.map(({ east, north }) => [round(east), round(north)])).toEqual([[100, 0], [0, 100], [-100, 0], [0, -100]]);
+});
+
+test('larger clusters spill onto wider rings', () => {
+  const offsets = spiderOffsets(15, { baseR: 100 });
+  const radius = ({ east, north }) => Math.round(Math.hypot(east, north));
+  expect(offsets).toHaveLength(15);
+  expect(offsets.slice(0, 12).map(radius)).toEqual(Array(12).fill(100));
+  expect(offsets.slice(12).map(radius)).toEqual([170, 170, 170]);
+});
+
+test('cluster picks carry the member entities as their id', () => {
+  expect(isClusterPick({ id: [{}, {}] })).toBe(true);
+  expect(isClusterPick({ id: {} })).toBe(false);
+  expect(isClusterPick(undefined)).toBe(false);
+});
+
+// Just enough Cesium for the layer: events that can be raised by hand
+const fakeEvent = () => {
+  const fns = [];
+  return { addEventListener: (fn) => fns.push(fn), raise: (...args) => fns.forEach((fn) => fn(...args)) };
+};
+const flush = () => new Promise((r) => queueMicrotask(r));
+
+test('rendered clusters follow the latest clustering pass', async () => {
+  window.Cesium = {
+    CustomDataSource: class {
+      constructor(name) {
+        this.name = name;
+        this.show = true;
+        this.clustering = { enabled: false, clusterEvent: fakeEvent() };
+        this.entities = { collectionChanged: fakeEvent() };
+      }
+    },
+    Cartesian3: { clone: (p) => ({ ...p }) },
+    VerticalOrigin: { CENTER: 0 },
+  };
+  const getContext = HTMLCanvasElement.prototype.getContext;
+  HTMLCanvasElement.prototype.getContext = () => null; // no badge image: Cesium's label stays
+  const added = [];
+  const viewer = {
+    dataSources: { getByName: (name) => added.filter((ds) => ds.name === name), add: (ds) => added.push(ds) },
+    camera: { changed: fakeEvent() },
+  };
+  try {
+    const ds = getArticleLayer(viewer);
+    const passes = jest.fn();
+    onClustersChanged(viewer, passes);
+    const badge = (entities, x) => [entities, { billboard: { position: { x } }, label: { id: entities } }];
+
+    ds.clustering.clusterEvent.raise(...badge(pins('positive', 'positive', 'negative'), 1));
+    ds.clustering.clusterEvent.raise(...badge(pins('neutral', 'neutral', 'neutral'), 2));
+    await flush();
+    expect(renderedClusters(viewer).map((c) => c.position.x)).toEqual([1, 2]);
+    expect(passes).toHaveBeenCalledTimes(1);
+
+    // The next pass replaces the badges, even when it draws none
+    ds.clustering.clusterEvent.raise(...badge(pins('negative', 'negative', 'negative'), 3));
+    await flush();
+    expect(renderedClusters(viewer).map((c) => c.position.x)).toEqual([3]);
+    viewer.camera.changed.raise(0.6);
+    await flush();
+    expect(renderedClusters(viewer)).toEqual([]);
+    expect(passes).toHaveBeenCalledTimes(3);
+
+    ds.clustering.enabled = false; // spidered out
+    ds.clustering.clusterEvent.raise(...badge(pins('neutral', 'neutral', 'neutral'), 4));
+    expect(renderedClusters(viewer)).toEqual([]);
+  } finally {
+    HTMLCanvasElement.prototype.getContext = getContext;
+    delete window.Cesium;
+  }
+});
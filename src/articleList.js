@@ -0,0 +1,65 @@
+// src/articleList.js
+// The article list panel: filter and sort the loaded /news rows by time, source,
+// sentiment and country. Rows keep their identity (same keys as the article pins).
+
+import { countryName } from "./countries";
+import { parseTimestamp, publishedOf } from "./dates";
+
+export const ARTICLE_SORTS = [
+  { id: "newest", label: "Newest first" },
+  { id: "oldest", label: "Oldest first" },
+  { id: "source", label: "Source A–Z" },
+  { id: "sentiment", label: "Sentiment" },
+  { id: "country", label: "Country A–Z" },
+];
+
+export const SENTIMENTS = ["positive", "neutral", "negative"];
+
+export const LIST_FILTER_DEFAULTS = { text: "", source: "", sentiment: "", country: "" };
+
+const timeOf = (a) => parseTimestamp(publishedOf(a))?.getTime() ?? null;
+const countryOf = (a) => (a.country ? countryName(a.country) : "");
+const sentimentRank = (a) => {
+  const i = SENTIMENTS.indexOf(a.sentiment);
+  return i === -1 ? SENTIMENTS.length : i;
+};
+
+/** Distinct sources and countries (sorted) for the filter dropdowns. */
+export function listFacets(rows) {
+  const sources = new Set();
+  const countries = new Set();
+  for (const a of rows || []) {
+    if (a.source) sources.add(a.source);
+    const c = countryOf(a);
+    if (c) countries.add(c);
+  }
+  const byName = (x, y) => x.localeCompare(y);
+  return { sources: [...sources].sort(byName), countries: [...countries].sort(byName) };
+}
+
+/** Rows matching every set filter; `text` searches title, description and source. */
+export function filterArticles(rows, { text = "", source = "", sentiment = "", country = "" } = {}) {
+  const needle = text.trim().toLowerCase();
+  return (rows || []).filter((a) => {
+    if (source && a.source !== source) return false;
+    if (sentiment && a.sentiment !== sentiment) return false;
+    if (country && countryOf(a) !== country) return false;
+    if (needle && !`${a.title || ""} ${a.description || ""} ${a.source || ""}`.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+}
+
+// Undated rows sort last either way; ties fall back to newest first
+const newestFirst = (a, b) => (timeOf(b) ?? -Infinity) - (timeOf(a) ?? -Infinity) || 0;
+const COMPARE = {
+  newest: newestFirst,
+  oldest: (a, b) => (timeOf(a) ?? Infinity) - (timeOf(b) ?? Infinity) || 0,
+  source: (a, b) => (a.source || "").localeCompare(b.source || "") || newestFirst(a, b),
+  sentiment: (a, b) => sentimentRank(a) - sentimentRank(b) || newestFirst(a, b),
+  country: (a, b) => countryOf(a).localeCompare(countryOf(b)) || newestFirst(a, b),
+};
+
+/** A sorted copy (unknown sort ids sort newest first). */
+export function sortArticles(rows, sort = "newest") {
+  return (rows || []).slice().sort(COMPARE[sort] || COMPARE.newest);
+}
@@ -0,0 +1,35 @@
+import { filterArticles, listFacets, sortArticles } from './articleList';
+
+const rows = [
+  { id: 1, title: 'Quake hits coast', source: 'NHK', sentiment: 'negative', country: 'Japan', published_at: '2024-05-01T10:00:00Z' },
+  { id: 2, title: 'Rates on hold', source: 'Reuters', sentiment: 'neutral', country: 'USA', published_at: '2024-05-02T10:00:00Z' },
+  { id: 3, title: 'Festival opens', source: 'BBC', sentiment: 'positive', country: 'United Kingdom', published_at: '2024-04-30T10:00:00Z' },
+  { id: 4, title: 'Undated item', source: 'BBC', sentiment: 'neutral', country: 'United States' },
+];
+
+const ids = (list) => list.map((a) => a.id);
+
+test('facets list distinct sources and canonical country names', () => {
+  expect(listFacets(rows)).toEqual({
+    sources: ['BBC', 'NHK', 'Reuters'],
+    countries: ['Japan', 'United Kingdom', 'United States'],
+  });
+});
+
+test('filters combine source, sentiment, country and text', () => {
+  expect(ids(filterArticles(rows, { source: 'BBC' }))).toEqual([3, 4]);
+  expect(ids(filterArticles(rows, { sentiment: 'neutral', country: 'United States' }))).toEqual([2, 4]);
+  expect(ids(filterArticles(rows, { text: '  QUAKE ' }))).toEqual([1]);
+  expect(ids(filterArticles(rows, { text: 'reuters' }))).toEqual([2]);
+  expect(filterArticles(rows, {})).toHaveLength(4);
+});
+
+test('sorts by time (undated last), source, sentiment and country', () => {
+  expect(ids(sortArticles(rows, 'newest'))).toEqual([2, 1, 3, 4]);
+  expect(ids(sortArticles(rows, 'oldest'))).toEqual([3, 1, 2, 4]);
+  expect(ids(sortArticles(rows, 'source'))).toEqual([3, 4, 1, 2]);
+  expect(ids(sortArticles(rows, 'sentiment'))).toEqual([3, 2, 4, 1]);
+  expect(ids(sortArticles(rows, 'country'))).toEqual([1, 3, 2, 4]);
+  expect(ids(sortArticles(rows, 'bogus'))).toEqual([2, 1, 3, 4]);
+  expect(ids(rows)).toEqual([1, 2, 3, 4]); // input left untouched
+});
@@ -0,0 +1,310 @@
+// src/countries.js
+// Country resolver: maps backend spellings ("USA", "Czech Republic", "UK"),
+// ISO 3166-1 alpha-2/alpha-3/numeric codes and common native names to one canonical record.
+
+// [alpha2, alpha3, numeric, canonical name, aliases?]
+const COUNTRY_TABLE = [
+  ["AF", "AFG", "004", "Afghanistan"],
+  ["AL", "ALB", "008", "Albania"],
+  ["DZ", "DZA", "012", "Algeria"],
+  ["AS", "ASM", "016", "American Samoa"],
+  ["AD", "AND", "020", "Andorra"],
+  ["AO", "AGO", "024", "Angola"],
+  ["AI", "AIA", "660", "Anguilla"],
+  ["AQ", "ATA", "010", "Antarctica"],
+  ["AG", "ATG", "028", "Antigua and Barbuda"],
+  ["AR", "ARG", "032", "Argentina"],
+  ["AM", "ARM", "051", "Armenia"],
+  ["AW", "ABW", "533", "Aruba"],
+  ["AU", "AUS", "036", "Australia"],
+  ["AT", "AUT", "040", "Austria", ["Österreich"]],
+  ["AZ", "AZE", "031", "Azerbaijan"],
+  ["BS", "BHS", "044", "Bahamas", ["The Bahamas"]],
+  ["BH", "BHR", "048", "Bahrain"],
+  ["BD", "BGD", "050", "Bangladesh", ["বাংলাদেশ"]],
+  ["BB", "BRB", "052", "Barbados"],
+  ["BY", "BLR", "112", "Belarus"],
+  ["BE", "BEL", "056", "Belgium", ["België", "Belgique", "Belgien"]],
+  ["BZ", "BLZ", "084", "Belize"],
+  ["BJ", "BEN", "204", "Benin"],
+  ["BM", "BMU", "060", "Bermuda"],
+  ["BT", "BTN", "064", "Bhutan"],
+  ["BO", "BOL", "068", "Bolivia", ["Plurinational State of Bolivia"]],
+  ["BA", "BIH", "070", "Bosnia and Herzegovina", ["Bosnia", "Bosnia and Herz."]],
+  ["BW", "BWA", "072", "Botswana"],
+  ["BV", "BVT", "074", "Bouvet Island"],
+  ["BR", "BRA", "076", "Brazil", ["Brasil"]],
+  ["IO", "IOT", "086", "British Indian Ocean Territory"],
+  ["VG", "VGB", "092", "British Virgin Islands", ["Virgin Islands, British"]],
+  ["BN", "BRN", "096", "Brunei", ["Brunei Darussalam"]],
+  ["BG", "BGR", "100", "Bulgaria"],
+  ["BF", "BFA", "854", "Burkina Faso"],
+  ["BI", "BDI", "108", "Burundi"],
+  ["KH", "KHM", "116", "Cambodia"],
+  ["CM", "CMR", "120", "Cameroon"],
+  ["CA", "CAN", "124", "Canada"],
+  ["CV", "CPV", "132", "Cape Verde", ["Cabo Verde"]],
+  ["BQ", "BES", "535", "Caribbean Netherlands", ["Bonaire, Sint Eustatius and Saba"]],
+  ["KY", "CYM", "136", "Cayman Islands"],
+  ["CF", "CAF", "140", "Central African Republic", ["Central African Rep."]],
+  ["TD", "TCD", "148", "Chad"],
+  ["CL", "CHL", "152", "Chile"],
+  ["CN", "CHN", "156", "China", ["People's Republic of China", "PRC", "中国", "中國"]],
+  ["CX", "CXR", "162", "Christmas Island"],
+  ["CC", "CCK", "166", "Cocos (Keeling) Islands"],
+  ["CO", "COL", "170", "Colombia"],
+  ["KM", "COM", "174", "Comoros"],
+  ["CK", "COK", "184", "Cook Islands"],
+  ["CR", "CRI", "188", "Costa Rica"],
+  ["HR", "HRV", "191", "Croatia"],
+  ["CU", "CUB", "192", "Cuba"],
+  ["CW", "CUW", "531", "Curaçao", ["Curacao"]],
+  ["CY", "CYP", "196", "Cyprus"],
+  ["CZ", "CZE", "203", "Czechia", ["Czech Republic", "Česko", "Česká republika"]],
+  ["CI", "CIV", "384", "Côte d'Ivoire", ["Cote d'Ivoire", "Ivory Coast"]],
+  ["CD", "COD", "180", "Democratic Republic of the Congo", ["DR Congo", "DRC", "Congo-Kinshasa", "Dem. Rep. Congo", "Congo, Democratic Republic of the"]],
+  ["DK", "DNK", "208", "Denmark", ["Danmark"]],
+  ["DJ", "DJI", "262", "Djibouti"],
+  ["DM", "DMA", "212", "Dominica"],
+  ["DO", "DOM", "214", "Dominican Republic", ["Dominican Rep."]],
+  ["EC", "ECU", "218", "Ecuador"],
+  ["EG", "EGY", "818", "Egypt", ["مصر", "Misr"]],
+  ["SV", "SLV", "222", "El Salvador"],
+  ["GQ", "GNQ", "226", "Equatorial Guinea", ["Eq. Guinea"]],
+  ["ER", "ERI", "232", "Eritrea"],
+  ["EE", "EST", "233", "Estonia"],
+  ["SZ", "SWZ", "748", "Eswatini", ["Swaziland", "eSwatini"]],
+  ["ET", "ETH", "231", "Ethiopia"],
+  ["FK", "FLK", "238", "Falkland Islands", ["Falkland Islands (Malvinas)", "Falkland Is."]],
+  ["FO", "FRO", "234", "Faroe Islands"],
+  ["FJ", "FJI", "242", "Fiji"],
+  ["FI", "FIN", "246", "Finland", ["Suomi"]],
+  ["FR", "FRA", "250", "France", ["République française"]],
+  ["GF", "GUF", "254", "French Guiana"],
+  ["PF", "PYF", "258", "French Polynesia"],
+  ["TF", "ATF", "260", "French Southern Territories"],
+  ["GA", "GAB", "266", "Gabon"],
+  ["GM", "GMB", "270", "Gambia", ["Republic of The Gambia", "The Gambia"]],
+  ["GE", "GEO", "268", "Georgia"],
+  ["DE", "DEU", "276", "Germany", ["Deutschland", "Allemagne", "Alemania"]],
+  ["GH", "GHA", "288", "Ghana"],
+  ["GI", "GIB", "292", "Gibraltar"],
+  ["GR", "GRC", "300", "Greece", ["Hellas", "Ελλάδα"]],
+  ["GL", "GRL", "304", "Greenland"],
+  ["GD", "GRD", "308", "Grenada"],
+  ["GP", "GLP", "312", "Guadeloupe"],
+  ["GU", "GUM", "316", "Guam"],
+  ["GT", "GTM", "320", "Guatemala"],
+  ["GG", "GGY", "831", "Guernsey"],
+  ["GN", "GIN", "324", "Guinea"],
+  ["GW", "GNB", "624", "Guinea-Bissau"],
+  ["GY", "GUY", "328", "Guyana"],
+  ["HT", "HTI", "332", "Haiti"],
+  ["HM", "HMD", "334", "Heard Island and McDonald Islands"],
+  ["HN", "HND", "340", "Honduras"],
+  ["HK", "HKG", "344", "Hong Kong", ["Hong Kong SAR", "香港"]],
+  ["HU", "HUN", "348", "Hungary"],
+  ["IS", "ISL", "352", "Iceland"],
+  ["IN", "IND", "356", "India", ["Bharat", "भारत"]],
+  ["ID", "IDN", "360", "Indonesia", ["Republik Indonesia"]],
+  ["IR", "IRN", "364", "Iran", ["Islamic Republic of Iran", "ایران"]],
+  ["IQ", "IRQ", "368", "Iraq"],
+  ["IE", "IRL", "372", "Ireland", ["Éire", "Eire"]],
+  ["IM", "IMN", "833", "Isle of Man"],
+  ["IL", "ISR", "376", "Israel", ["ישראל"]],
+  ["IT", "ITA", "380", "Italy", ["Italia"]],
+  ["JM", "JAM", "388", "Jamaica"],
+  ["JP", "JPN", "392", "Japan", ["日本", "Nippon", "Nihon"]],
+  ["JE", "JEY", "832", "Jersey"],
+  ["JO", "JOR", "400", "Jordan"],
+  ["KZ", "KAZ", "398", "Kazakhstan"],
+  ["KE", "KEN", "404", "Kenya"],
+  ["KI", "KIR", "296", "Kiribati"],
+  ["XK", "XKK", "983", "Kosovo"],
+  ["XK", "XKX", null, "Kosovo", ["Kosova", "Kosovë"]],
+  ["KW", "KWT", "414", "Kuwait"],
+  ["KG", "KGZ", "417", "Kyrgyzstan"],
+  ["LA", "LAO", "418", "Laos", ["Lao People's Democratic Republic", "Lao PDR"]],
+  ["LV", "LVA", "428", "Latvia"],
+  ["LB", "LBN", "422", "Lebanon"],
+  ["LS", "LSO", "426", "Lesotho"],
+  ["LR", "LBR", "430", "Liberia"],
+  ["LY", "LBY", "434", "Libya"],
+  ["LI", "LIE", "438", "Liechtenstein"],
+  ["LT", "LTU", "440", "Lithuania"],
+  ["LU", "LUX", "442", "Luxembourg"],
+  ["MO", "MAC", "446", "Macao"],
+  ["MG", "MDG", "450", "Madagascar"],
+  ["MW", "MWI", "454", "Malawi"],
+  ["MY", "MYS", "458", "Malaysia"],
+  ["MV", "MDV", "462", "Maldives"],
+  ["ML", "MLI", "466", "Mali"],
+  ["MT", "MLT", "470", "Malta"],
+  ["MH", "MHL", "584", "Marshall Islands"],
+  ["MQ", "MTQ", "474", "Martinique"],
+  ["MR", "MRT", "478", "Mauritania"],
+  ["MU", "MUS", "480", "Mauritius"],
+  ["YT", "MYT", "175", "Mayotte"],
+  ["MX", "MEX", "484", "Mexico", ["México"]],
+  ["FM", "FSM", "583", "Micronesia", ["Micronesia, Federated States of"]],
+  ["MD", "MDA", "498", "Moldova", ["Moldova, Republic of"]],
+  ["MC", "MCO", "492", "Monaco"],
+  ["MN", "MNG", "496", "Mongolia"],
+  ["ME", "MNE", "499", "Montenegro"],
+  ["MS", "MSR", "500", "Montserrat"],
+  ["MA", "MAR", "504", "Morocco"],
+  ["MZ", "MOZ", "508", "Mozambique"],
+  ["MM", "MMR", "104", "Myanmar", ["Burma"]],
+  ["NA", "NAM", "516", "Namibia"],
+  ["NR", "NRU", "520", "Nauru"],
+  ["NP", "NPL", "524", "Nepal"],
+  ["NL", "NLD", "528", "Netherlands", ["The Netherlands", "Netherlands (Kingdom of the)", "Holland", "Nederland"]],
+  ["NC", "NCL", "540", "New Caledonia"],
+  ["NZ", "NZL", "554", "New Zealand", ["Aotearoa"]],
+  ["NI", "NIC", "558", "Nicaragua"],
+  ["NE", "NER", "562", "Niger"],
+  ["NG", "NGA", "566", "Nigeria"],
+  ["NU", "NIU", "570", "Niue"],
+  ["NF", "NFK", "574", "Norfolk Island"],
+  ["KP", "PRK", "408", "North Korea", ["DPRK", "Korea, Democratic People's Republic of", "Democratic People's Republic of Korea", "조선"]],
+  ["MK", "MKD", "807", "North Macedonia", ["The Republic of North Macedonia", "Macedonia"]],
+  ["MP", "MNP", "580", "Northern Mariana Islands"],
+  ["NO", "NOR", "578", "Norway", ["Norge"]],
+  ["OM", "OMN", "512", "Oman"],
+  ["PK", "PAK", "586", "Pakistan", ["پاکستان"]],
+  ["PW", "PLW", "585", "Palau"],
+  ["PS", "PSE", "275", "Palestine", ["State of Palestine", "Palestinian Territories"]],
+  ["PA", "PAN", "591", "Panama"],
+  ["PG", "PNG", "598", "Papua New Guinea"],
+  ["PY", "PRY", "600", "Paraguay"],
+  ["PE", "PER", "604", "Peru", ["Perú"]],
+  ["PH", "PHL", "608", "Philippines", ["Pilipinas"]],
+  ["PN", "PCN", "612", "Pitcairn Islands", ["Pitcairn"]],
+  ["PL", "POL", "616", "Poland", ["Polska"]],
+  ["PT", "PRT", "620", "Portugal"],
+  ["PR", "PRI", "630", "Puerto Rico"],
+  ["QA", "QAT", "634", "Qatar"],
+  ["CG", "COG", "178", "Republic of the Congo", ["Congo", "Congo-Brazzaville", "Republic of Congo"]],
+  ["RO", "ROU", "642", "Romania"],
+  ["RU", "RUS", "643", "Russia", ["Russian Federation", "Россия"]],
+  ["RW", "RWA", "646", "Rwanda"],
+  ["RE", "REU", "638", "Réunion", ["Reunion"]],
+  ["BL", "BLM", "652", "Saint Barthélemy", ["Saint Barthelemy"]],
+  ["SH", "SHN", "654", "Saint Helena"],
+  ["KN", "KNA", "659", "Saint Kitts and Nevis"],
+  ["LC", "LCA", "662", "Saint Lucia"],
+  ["MF", "MAF", "663", "Saint Martin", ["Saint Martin (French part)"]],
+  ["PM", "SPM", "666", "Saint Pierre and Miquelon"],
+  ["VC", "VCT", "670", "Saint Vincent and the Grenadines"],
+  ["WS", "WSM", "882", "Samoa"],
+  ["SM", "SMR", "674", "San Marino"],
+  ["SA", "SAU", "682", "Saudi Arabia", ["KSA", "Kingdom of Saudi Arabia", "السعودية"]],
+  ["SN", "SEN", "686", "Senegal"],
+  ["RS", "SRB", "688", "Serbia"],
+  ["SC", "SYC", "690", "Seychelles"],
+  ["SL", "SLE", "694", "Sierra Leone"],
+  ["SG", "SGP", "702", "Singapore"],
+  ["SX", "SXM", "534", "Sint Maarten", ["Sint Maarten (Dutch part)"]],
+  ["SK", "SVK", "703", "Slovakia"],
+  ["SI", "SVN", "705", "Slovenia"],
+  ["SB", "SLB", "090", "Solomon Islands", ["Solomon Is."]],
+  ["SO", "SOM", "706", "Somalia"],
+  ["ZA", "ZAF", "710", "South Africa", ["RSA", "Suid-Afrika"]],
+  ["GS", "SGS", "239", "South Georgia and the South Sandwich Islands"],
+  ["KR", "KOR", "410", "South Korea", ["Korea, Republic of", "Republic of Korea", "Korea", "ROK", "대한민국", "한국"]],
+  ["SS", "SSD", "728", "South Sudan", ["S. Sudan"]],
+  ["ES", "ESP", "724", "Spain", ["España", "Espagne"]],
+  ["LK", "LKA", "144", "Sri Lanka"],
+  ["SD", "SDN", "729", "Sudan"],
+  ["SR", "SUR", "740", "Suriname"],
+  ["SJ", "SJM", "744", "Svalbard and Jan Mayen"],
+  ["SE", "SWE", "752", "Sweden", ["Sverige"]],
+  ["CH", "CHE", "756", "Switzerland", ["Schweiz", "Suisse", "Svizzera"]],
+  ["SY", "SYR", "760", "Syria", ["Syrian Arab Republic"]],
+  ["ST", "STP", "678", "São Tomé and Príncipe", ["Sao Tome and Principe"]],
+  ["TW", "TWN", "158", "Taiwan", ["Taiwan, Province of China", "Republic of China", "台灣", "台湾"]],
+  ["TJ", "TJK", "762", "Tajikistan"],
+  ["TZ", "TZA", "834", "Tanzania", ["United Republic of Tanzania"]],
+  ["TH", "THA", "764", "Thailand"],
+  ["TL", "TLS", "626", "Timor-Leste", ["East Timor"]],
+  ["TG", "TGO", "768", "Togo"],
+  ["TK", "TKL", "772", "Tokelau"],
+  ["TO", "TON", "776", "Tonga"],
+  ["TT", "TTO", "780", "Trinidad and Tobago"],
+  ["TN", "TUN", "788", "Tunisia"],
+  ["TR", "TUR", "792", "Turkey", ["Türkiye", "Turkiye"]],
+  ["TM", "TKM", "795", "Turkmenistan"],
+  ["TC", "TCA", "796", "Turks and Caicos Islands"],
+  ["TV", "TUV", "798", "Tuvalu"],
+  ["VI", "VIR", "850", "U.S. Virgin Islands", ["Virgin Islands, U.S."]],
+  ["UG", "UGA", "800", "Uganda"],
+  ["UA", "UKR", "804", "Ukraine", ["Україна", "Ukrajina"]],
+  ["AE", "ARE", "784", "United Arab Emirates", ["UAE", "U.A.E.", "Emirates", "الإمارات"]],
+  ["GB", "GBR", "826", "United Kingdom", ["UK", "Great Britain", "U.K.", "Britain", "England", "Scotland", "Wales", "Northern Ireland", "Royaume-Uni", "Reino Unido", "Vereinigtes Königreich"]],
+  ["US", "USA", "840", "United States", ["United States of America", "America", "Estados Unidos", "États-Unis", "Vereinigte Staaten"]],
+  ["UM", "UMI", "581", "United States Minor Outlying Islands"],
+  ["UY", "URY", "858", "Uruguay"],
+  ["UZ", "UZB", "860", "Uzbekistan"],
+  ["VU", "VUT", "548", "Vanuatu"],
+  ["VA", "VAT", "336", "Vatican City", ["Holy See (Vatican City State)", "Holy See", "Vatican"]],
+  ["VE", "VEN", "862", "Venezuela", ["Bolivarian Republic of Venezuela"]],
+  ["VN", "VNM", "704", "Vietnam", ["Viet Nam", "Việt Nam"]],
+  ["WF", "WLF", "876", "Wallis and Futuna"],
+  ["EH", "ESH", "732", "Western Sahara", ["W. Sahara"]],
+  ["YE", "YEM", "887", "Yemen"],
+  ["ZM", "ZMB", "894", "Zambia"],
+  ["ZW", "ZWE", "716", "Zimbabwe"],
+  ["AX", "ALA", "248", "Åland Islands", ["Aland Islands"]],
+];
+
+// ---------- Normalization ----------
+// Case/diacritic/punctuation-insensitive key: "Côte d’Ivoire" → "cote d'ivoire", "U.S.A." → "usa"
+function normKey(s) {
+  return String(s)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[\u2018\u2019`]/g, "'")
+    .replace(/\./g, "")
+    .replace(/^the\s+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// ---------- Index (built once) ----------
+const RECORDS = [];
+const LOOKUP = new Map(); // normalized key -> record
+
+COUNTRY_TABLE.forEach(([alpha2, alpha3, numeric, name, aliases = []]) => {
+  const rec = Object.freeze({ name, alpha2, alpha3, numeric });
+  RECORDS.push(rec);
+  for (const k of [alpha2, alpha3, numeric, name, ...aliases]) {
+    if (k == null) continue;
+    const key = normKey(k);
+    if (!LOOKUP.has(key)) LOOKUP.set(key, rec);
+  }
+});
+
+// ---------- Public API ----------
+/**
+ * Resolve a country name/code to `{ name, alpha2, alpha3, numeric }`, or null.
+ * Accepts numbers (ISO numeric), and already-resolved records.
+ */
+export function resolveCountry(input) {
+  if (input == null || input === "") return null;
+  if (typeof input === "object") return input.alpha2 ? resolveCountry(input.alpha2) : null;
+  if (typeof input === "number") return LOOKUP.get(String(input).padStart(3, "0")) || null;
+  return LOOKUP.get(normKey(input)) || null;
+}
+
+/** Canonical display name, falling back to the raw value (or "—") when unknown. */
+export function countryName(input) {
+  const rec = resolveCountry(input);
+  if (rec) return rec.name;
+  return input ? String(input) : "—";
+}
+
+/** Every known country record (canonical order by name). */
+export function allCountries() {
+  return RECORDS.slice();
+}
@@ -0,0 +1,17 @@
+import { resolveCountry, countryName } from './countries';
+
+test('resolves aliases, ISO codes and native names to one record', () => {
+  ['USA', 'US', 'U.S.A.', 'united states', 'United States of America', 'us', 'USA ', '840', 840]
+    .forEach((v) => expect(resolveCountry(v)?.alpha2).toBe('US'));
+  expect(resolveCountry('Czech Republic')).toBe(resolveCountry('CZE'));
+  expect(resolveCountry('UK').name).toBe('United Kingdom');
+  expect(resolveCountry('Deutschland').alpha3).toBe('DEU');
+  expect(resolveCountry("Cote d’Ivoire").alpha2).toBe('CI');
+  expect(resolveCountry('Congo').alpha2).toBe('CG');
+});
+
+test('countryName falls back to the raw value', () => {
+  expect(countryName('GB')).toBe('United Kingdom');
+  expect(countryName('Atlantis')).toBe('Atlantis');
+  expect(countryName(null)).toBe('—');
+});
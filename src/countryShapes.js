@@ -0,0 +1,158 @@
+// src/countryShapes.js
+// Bundled, simplified country boundaries (Natural Earth 1:50m via world-atlas)
+// decoded once into polygons with bbox/area so placement can do point-in-polygon tests.
+// The topology is a separate chunk, fetched by loadCountryShapes() rather than on first paint.
+
+import { feature } from "topojson-client";
+import { resolveCountry } from "./countries";
+
+// ---------- Geometry helpers ----------
+// Ray casting (even-odd) over a single ring of [lon, lat] pairs
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// rings[0] is the outer boundary; the rest are holes (lakes, enclaves)
+function pointInPolygon(lon, lat, poly) {
+  const { bbox, rings } = poly;
+  if (lon < bbox.lon[0] || lon > bbox.lon[1] || lat < bbox.lat[0] || lat > bbox.lat[1]) return false;
+  if (!pointInRing(lon, lat, rings[0])) return false;
+  for (let h = 1; h < rings.length; h++) if (pointInRing(lon, lat, rings[h])) return false;
+  return true;
+}
+
+function ringBBox(ring) {
+  let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  for (const [lon, lat] of ring) {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }
+  return { lat: [minLat, maxLat], lon: [minLon, maxLon] };
+}
+
+// Shoelace area in "equator degrees²" (lon scaled by cos(lat)) – only used for weighting
+function ringArea(ring, midLat) {
+  const k = Math.cos(midLat * Math.PI / 180);
+  let s = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    s += (ring[j][0] * k) * ring[i][1] - (ring[i][0] * k) * ring[j][1];
+  }
+  return Math.abs(s) / 2;
+}
+
+function toPolygon(rings) {
+  const bbox = ringBBox(rings[0]);
+  const midLat = (bbox.lat[0] + bbox.lat[1]) / 2;
+  let area = ringArea(rings[0], midLat);
+  for (let h = 1; h < rings.length; h++) area -= ringArea(rings[h], midLat);
+  return { rings, bbox, area: Math.max(area, 0) };
+}
+
+// ---------- Index (built lazily, once the topology has arrived) ----------
+let countriesTopo = null;
+let loading = null;
+let index = null;
+const EMPTY_INDEX = { byName: new Map(), byId: new Map() };
+
+/** Fetch the boundary data (once). Lookups return null until this resolves. */
+export function loadCountryShapes() {
+  if (!loading) {
+    loading = import(/* webpackChunkName: "country-shapes" */ "world-atlas/countries-50m.json").then(
+      (mod) => {
+        countriesTopo = mod.default || mod;
+        index = null;
+      },
+      (err) => {
+        loading = null; // let a later call try again
+        throw err;
+      }
+    );
+  }
+  return loading;
+}
+
+function buildIndex() {
+  const byName = new Map();
+  const byId = new Map();
+  const fc = feature(countriesTopo, countriesTopo.objects.countries);
+
+  for (const f of fc.features) {
+    const g = f.geometry;
+    if (!g) continue;
+    const polyCoords = g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : [];
+    const polygons = polyCoords.map(toPolygon).filter(p => p.area > 0);
+    if (!polygons.length) continue;
+
+    const shape = {
+      id: f.id ?? null,           // ISO 3166-1 numeric (string), missing for disputed areas
+      name: f.properties?.name || "",
+      polygons,
+      area: polygons.reduce((s, p) => s + p.area, 0),
+    };
+
+    byName.set(shape.name.toLowerCase(), shape);
+    // A few numeric codes are shared (e.g. Australia / Ashmore) – keep the larger shape
+    if (shape.id != null) {
+      const prev = byId.get(shape.id);
+      if (!prev || prev.area < shape.area) byId.set(shape.id, shape);
+    }
+  }
+  return { byName, byId };
+}
+
+function getIndex() {
+  if (!countriesTopo) {
+    loadCountryShapes().catch(() => {});
+    return EMPTY_INDEX;
+  }
+  if (!index) index = buildIndex();
+  return index;
+}
+
+// ---------- Public API ----------
+/**
+ * Look up a country shape by anything `resolveCountry` understands (name, alias, ISO code).
+ * Shapes without an ISO code (Kosovo, Somaliland, N. Cyprus) fall back to their Natural Earth name.
+ */
+export function getCountryShape(country) {
+  if (!country) return null;
+  const { byName } = getIndex();
+  const rec = resolveCountry(country);
+  if (rec) {
+    const shape = getCountryShapeById(rec.numeric) || byName.get(rec.name.toLowerCase());
+    if (shape) return shape;
+  }
+  return typeof country === "string" ? byName.get(country.trim().toLowerCase()) || null : null;
+}
+
+/** Look up a country shape by ISO 3166-1 numeric code ("840" or 840). */
+export function getCountryShapeById(id) {
+  if (id == null || id === "") return null;
+  return getIndex().byId.get(String(id).padStart(3, "0")) || null;
+}
+
+/** True if (lat, lon) falls on land inside the given shape. */
+export function pointInShape(lat, lon, shape) {
+  if (!shape) return false;
+  for (const p of shape.polygons) if (pointInPolygon(lon, lat, p)) return true;
+  return false;
+}
+
+/** The polygon of a shape that contains (lat, lon), or null. */
+export function polygonAt(lat, lon, shape) {
+  if (!shape) return null;
+  for (const p of shape.polygons) if (pointInPolygon(lon, lat, p)) return p;
+  return null;
+}
+
+export { pointInPolygon };
@@ -0,0 +1,129 @@
+// src/dataClient.js
+// Data access for the backend: keyed response cache, in-flight de-duplication,
+// stale-while-revalidate and per-channel cancellation (a new request on a channel
+// cancels the previous one on that channel only).
+
+import { fetchJson as defaultFetchJson } from "./http";
+
+const abortError = () => {
+  const err = new Error("Request aborted");
+  err.name = "AbortError";
+  return err;
+};
+
+/** Cache key for a URL: same path + same params (in any order) → same key. */
+export function requestKey(url) {
+  const [path, query = ""] = String(url).split("?");
+  const params = new URLSearchParams(query);
+  params.sort();
+  const qs = params.toString();
+  return qs ? `${path}?${qs}` : path;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {(url, { signal, onRetry, onResponse }) => Promise<any>} [opts.fetchJson]  loader (defaults to http.fetchJson)
+ * @param {number} [opts.maxAgeMs]    how long a cached response counts as fresh
+ * @param {number} [opts.maxEntries]  oldest responses are dropped beyond this
+ * @param {Function} [opts.onResponse] timing/size of each network response (see http.fetchJson)
+ */
+export function createDataClient({ fetchJson = defaultFetchJson, maxAgeMs = 5 * 60 * 1000, maxEntries = 100, onResponse } = {}) {
+  const cache = new Map();    // key -> { data, at }
+  const inFlight = new Map(); // key -> { promise, controller, waiters: Set }
+  const channels = new Map(); // channel -> cancel fn of its latest request
+
+  function remember(key, data) {
+    cache.delete(key); // re-insert → Map order doubles as LRU order
+    cache.set(key, { data, at: Date.now() });
+    while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  }
+
+  // One network request per key, shared by every caller that asks while it runs
+  function load(url, key, onRetry) {
+    let entry = inFlight.get(key);
+    if (entry) return entry;
+
+    const controller = new AbortController();
+    entry = { controller, waiters: new Set() };
+    entry.promise = fetchJson(url, { signal: controller.signal, onRetry, onResponse })
+      .then((data) => {
+        remember(key, data);
+        return data;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === entry) inFlight.delete(key);
+      });
+    entry.promise.catch(() => {}); // background revalidations may have no waiter
+    inFlight.set(key, entry);
+    return entry;
+  }
+
+  // Wait on a shared request; cancelling this waiter only aborts the fetch if nobody else waits
+  function join(entry) {
+    const waiter = {};
+    const promise = new Promise((resolve, reject) => {
+      waiter.reject = reject;
+      entry.promise.then(resolve, reject).finally(() => entry.waiters.delete(waiter));
+    });
+    entry.waiters.add(waiter);
+    const cancel = () => {
+      if (!entry.waiters.delete(waiter)) return;
+      waiter.reject(abortError());
+      if (entry.waiters.size === 0) entry.controller.abort();
+    };
+    return { promise, cancel };
+  }
+
+  /**
+   * Fetch `url` as JSON through the cache.
+   * - fresh cached response → returned without a request
+   * - stale cached response → returned at once and refreshed in the background
+   *   (`onRevalidate(data)` is called with the new response), unless `swr` is false
+   * - `channel`: starting a request cancels the previous request on the same channel
+   * - `maxAgeMs` overrides the client default for this call
+   * - `onRetry` is handed to the loader (only the caller that starts the request gets it)
+   */
+  function get(url, { channel, swr = true, onRevalidate, onRetry, maxAgeMs: maxAge = maxAgeMs } = {}) {
+    const key = requestKey(url);
+    if (channel) cancel(channel);
+
+    const hit = cache.get(key);
+    const age = hit ? Date.now() - hit.at : Infinity;
+    if (hit && age < maxAge) return Promise.resolve(hit.data);
+    if (hit && swr) {
+      load(url, key).promise.then((data) => onRevalidate?.(data), () => {});
+      return Promise.resolve(hit.data);
+    }
+
+    const { promise, cancel: cancelThis } = join(load(url, key, onRetry));
+    if (channel) {
+      channels.set(channel, cancelThis);
+      promise.then(
+        () => channels.get(channel) === cancelThis && channels.delete(channel),
+        () => channels.get(channel) === cancelThis && channels.delete(channel)
+      );
+    }
+    return promise;
+  }
+
+  /** Cancel the pending request on `channel` (its promise rejects with an AbortError). */
+  function cancel(channel) {
+    const fn = channels.get(channel);
+    if (!fn) return;
+    channels.delete(channel);
+    fn();
+  }
+
+  return {
+    get,
+    cancel,
+    /** Cancel every channel. */
+    cancelAll: () => [...channels.keys()].forEach(cancel),
+    /** Cached response for `url` (fresh or stale), or undefined. */
+    peek: (url) => cache.get(requestKey(url))?.data,
+    /** Drop cached responses whose key starts with `prefix` (all when omitted). */
+    invalidate(prefix = "") {
+      for (const key of [...cache.keys()]) if (key.startsWith(prefix)) cache.delete(key);
+    },
+  };
+}
@@ -0,0 +1,107 @@
+import { createDataClient, requestKey } from './dataClient';
+
+// Loader whose responses are resolved by hand
+function manualLoader() {
+  const calls = [];
+  const fetchJson = (url, { signal }) =>
+    new Promise((resolve, reject) => {
+      const call = { url, signal, resolve };
+      signal.addEventListener('abort', () => {
+        call.aborted = true;
+        const err = new Error('aborted');
+        err.name = 'AbortError';
+        reject(err);
+      });
+      calls.push(call);
+    });
+  return { calls, fetchJson };
+}
+
+const flush = () => new Promise((r) => setTimeout(r, 0));
+
+test('param order does not change the key', () => {
+  expect(requestKey('/news?b=2&a=1')).toBe(requestKey('/news?a=1&b=2'));
+  expect(requestKey('/events')).toBe('/events');
+});
+
+test('concurrent requests for one URL share a fetch, then hit the cache', async () => {
+  const { calls, fetchJson } = manualLoader();
+  const api = createDataClient({ fetchJson });
+  const a = api.get('/event/1?x=1');
+  const b = api.get('/event/1?x=1');
+  expect(calls).toHaveLength(1);
+  calls[0].resolve({ id: 1 });
+  expect(await a).toEqual({ id: 1 });
+  expect(await b).toEqual({ id: 1 });
+
+  expect(await api.get('/event/1?x=1')).toEqual({ id: 1 });
+  expect(calls).toHaveLength(1);
+  expect(api.peek('/event/1?x=1')).toEqual({ id: 1 });
+});
+
+test('a new request cancels only its own channel', async () => {
+  const { calls, fetchJson } = manualLoader();
+  const api = createDataClient({ fetchJson });
+  const news = api.get('/news', { channel: 'news' });
+  const first = api.get('/event/1', { channel: 'event' });
+  const second = api.get('/event/2', { channel: 'event' });
+
+  await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+  expect(calls.map((c) => !!c.aborted)).toEqual([false, true, false]);
+
+  calls[0].resolve({ items: [] });
+  calls[2].resolve({ id: 2 });
+  expect(await news).toEqual({ items: [] });
+  expect(await second).toEqual({ id: 2 });
+});
+
+test('cancelling one waiter keeps a fetch others still wait on', async () => {
+  const { calls, fetchJson } = manualLoader();
+  const api = createDataClient({ fetchJson });
+  const cancelled = api.get('/news', { channel: 'a' });
+  const kept = api.get('/news', { channel: 'b' });
+  api.cancel('a');
+  await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+  expect(calls[0].aborted).toBeUndefined();
+  calls[0].resolve({ ok: true });
+  expect(await kept).toEqual({ ok: true });
+});
+
+test('stale entries are served at once and refreshed in the background', async () => {
+  const { calls, fetchJson } = manualLoader();
+  const api = createDataClient({ fetchJson, maxAgeMs: 0 });
+  const first = api.get('/event/1');
+  calls[0].resolve({ v: 1 });
+  await first;
+
+  const onRevalidate = jest.fn();
+  expect(await api.get('/event/1', { onRevalidate })).toEqual({ v: 1 });
+  expect(calls).toHaveLength(2);
+  calls[1].resolve({ v: 2 });
+  await flush();
+  expect(onRevalidate).toHaveBeenCalledWith({ v: 2 });
+  expect(api.peek('/event/1')).toEqual({ v: 2 });
+
+  // swr: false waits for the network instead
+  const fresh = api.get('/event/1', { swr: false });
+  calls[2].resolve({ v: 3 });
+  expect(await fresh).toEqual({ v: 3 });
+});
+
+test('failures are not cached and old entries are evicted', async () => {
+  let n = 0;
+  const api = createDataClient({
+    maxEntries: 2,
+    fetchJson: (url) => (url === '/bad' ? Promise.reject(new Error('HTTP 500')) : Promise.resolve(++n)),
+  });
+  await expect(api.get('/bad')).rejects.toThrow('HTTP 500');
+  expect(api.peek('/bad')).toBeUndefined();
+
+  await api.get('/a');
+  await api.get('/b');
+  await api.get('/c');
+  expect(api.peek('/a')).toBeUndefined();
+  expect(api.peek('/c')).toBe(3);
+  api.invalidate('/b');
+  expect(api.peek('/b')).toBeUndefined();
+});
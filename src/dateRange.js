@@ -0,0 +1,55 @@
+// src/dateRange.js
+// Date filter as either a rolling window ("last 24 h", resolved against the clock at
+// request time) or a custom absolute range from the datetime-local inputs.
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+export const DATE_PRESETS = [
+  { id: "", label: "Any time" },
+  { id: "1h", label: "Last hour", ms: HOUR },
+  { id: "6h", label: "Last 6 hours", ms: 6 * HOUR },
+  { id: "24h", label: "Last 24 hours", ms: DAY },
+  { id: "7d", label: "Last 7 days", ms: 7 * DAY },
+  { id: "30d", label: "Last 30 days", ms: 30 * DAY },
+  { id: "custom", label: "Custom range" },
+];
+
+const PRESET_BY_ID = new Map(DATE_PRESETS.map((p) => [p.id, p]));
+
+/** A preset id we know (unknown values fall back to "any time"). */
+export const normalizePreset = (id) => (PRESET_BY_ID.has(id) ? id : "");
+
+/** Preset for a filter set that predates presets: absolute dates mean "custom". */
+export const presetFor = ({ datePreset, dateStart, dateEnd }) =>
+  datePreset != null ? normalizePreset(datePreset) : dateStart || dateEnd ? "custom" : "";
+
+const parseLocal = (value) => {
+  if (!value) return null;
+  const d = new Date(value); // datetime-local values are local wall time
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/**
+ * Effective `{ start, end, error }` (Dates or null) for a preset, using `now` for
+ * rolling windows. `error` is a user-facing message when a custom range is unusable.
+ */
+export function resolveDateRange({ preset = "", dateStart, dateEnd } = {}, now = Date.now()) {
+  const p = PRESET_BY_ID.get(preset);
+  if (p?.ms) return { start: new Date(now - p.ms), end: new Date(now), error: null };
+  if (preset !== "custom") return { start: null, end: null, error: null };
+
+  const start = parseLocal(dateStart);
+  const end = parseLocal(dateEnd);
+  if (start === undefined || end === undefined) return { start: null, end: null, error: "Enter a valid date and time." };
+  if (start && end && start >= end) return { start, end, error: "Start must be before end." };
+  return { start, end, error: null };
+}
+
+const utc = (d) => d.toISOString().slice(0, 16).replace("T", " ");
+
+/** "2024-05-01 10:00 → 2024-05-02 10:00 UTC", an open start shown as "…" and an open end as "now". */
+export function formatUtcRange({ start, end }) {
+  if (!start && !end) return "Any time";
+  return `${start ? utc(start) : "…"} → ${end ? utc(end) : "now"} UTC`;
+}
@@ -0,0 +1,34 @@
+import { resolveDateRange, formatUtcRange, presetFor, normalizePreset } from './dateRange';
+
+const NOW = Date.parse('2024-05-10T12:00:00Z');
+
+test('rolling presets resolve against the given clock', () => {
+  const r = resolveDateRange({ preset: '24h' }, NOW);
+  expect(r.start.toISOString()).toBe('2024-05-09T12:00:00.000Z');
+  expect(r.end.toISOString()).toBe('2024-05-10T12:00:00.000Z');
+  expect(resolveDateRange({ preset: '7d' }, NOW).start.toISOString()).toBe('2024-05-03T12:00:00.000Z');
+  // absolute dates are ignored unless the preset is "custom"
+  expect(resolveDateRange({ preset: '', dateStart: '2024-01-01T00:00' }, NOW)).toEqual({ start: null, end: null, error: null });
+});
+
+test('custom ranges are validated', () => {
+  expect(resolveDateRange({ preset: 'custom', dateStart: '2024-05-02T10:00', dateEnd: '2024-05-01T10:00' }).error)
+    .toMatch(/before end/);
+  expect(resolveDateRange({ preset: 'custom', dateStart: 'garbage' }).error).toMatch(/valid date/);
+  const open = resolveDateRange({ preset: 'custom', dateStart: '2024-05-01T10:00' });
+  expect(open.error).toBeNull();
+  expect(open.end).toBeNull();
+});
+
+test('UTC display', () => {
+  expect(formatUtcRange(resolveDateRange({ preset: '1h' }, NOW))).toBe('2024-05-10 11:00 → 2024-05-10 12:00 UTC');
+  expect(formatUtcRange({ start: null, end: null })).toBe('Any time');
+  expect(formatUtcRange({ start: new Date(NOW), end: null })).toBe('2024-05-10 12:00 → now UTC');
+});
+
+test('preset inferred for older links and saved searches', () => {
+  expect(presetFor({ dateStart: '2024-05-01T10:00' })).toBe('custom');
+  expect(presetFor({})).toBe('');
+  expect(presetFor({ datePreset: '30d', dateStart: 'x' })).toBe('30d');
+  expect(normalizePreset('2y')).toBe('');
+});
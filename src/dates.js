@@ -0,0 +1,41 @@
+// src/dates.js
+// Timestamp parsing shared by the details cards, timeline playback and event propagation.
+
+/** Raw publish time of an article/sample, whatever the backend called it. */
+export const publishedOf = (a) =>
+  a.published_at ??
+  a.publishedAt ??
+  a.pubDate ??
+  a.date_published ??
+  a.date ??
+  (a.published_ts != null ? Number(a.published_ts) : null);
+
+// Accepts Date | number | ISO-ish string (YYYYMMDDTHHMMSSZ also) → Date (or null)
+export function parseTimestamp(ts) {
+  if (ts == null) return null;
+  let d = null;
+
+  if (ts instanceof Date) {
+    d = ts;
+  } else if (typeof ts === "number") {
+    // 10-digit → seconds, 13-digit → ms
+    d = new Date(ts < 1e12 ? ts * 1000 : ts);
+  } else if (typeof ts === "string") {
+    // Convert ISO basic (YYYYMMDDTHHMMSSZ) → extended
+    const m = ts.match(/^(\d{4})(\d{2})(\d{2})T?(\d{2})(\d{2})(\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:?\d{2})?$/);
+    let iso = ts;
+    if (m) {
+      const [, yyyy, MM, dd, hh, mm, ss, ms, tz] = m;
+      const tzFmt = tz
+        ? tz === "Z"
+          ? "Z"
+          : tz.includes(":") ? tz : `${tz.slice(0,3)}:${tz.slice(3)}`
+        : "Z";
+      iso = `${yyyy}-${MM}-${dd}T${hh}:${mm}:${ss}${ms ? "."+ms : ""}${tzFmt}`;
+    }
+    d = new Date(iso);
+  }
+
+  if (!d || Number.isNaN(d.getTime())) return null;
+  return d;
+}
@@ -0,0 +1,488 @@
+// src/gazetteer.js
+// Offline gazetteer: major cities (population, lat/lon, aliases) so placement can
+// pin an article near a city its title/description mentions.
+
+import { resolveCountry } from "./countries";
+
+// [ISO alpha-2, name, lat, lon, population, aliases?]
+const CITY_TABLE = [
+  ["IN", "Mumbai", 19.076, 72.8777, 12442373, ["Bombay"]],
+  ["IN", "Delhi", 28.7041, 77.1025, 16787941, ["New Delhi"]],
+  ["IN", "Bengaluru", 12.9716, 77.5946, 8443675, ["Bangalore"]],
+  ["IN", "Hyderabad", 17.385, 78.4867, 6993262],
+  ["IN", "Chennai", 13.0827, 80.2707, 4646732, ["Madras"]],
+  ["IN", "Kolkata", 22.5726, 88.3639, 4496694, ["Calcutta"]],
+  ["IN", "Ahmedabad", 23.0225, 72.5714, 5577940],
+  ["IN", "Pune", 18.5204, 73.8567, 3124458, ["Poona"]],
+  ["IN", "Jaipur", 26.9124, 75.7873, 3046163],
+  ["IN", "Lucknow", 26.8467, 80.9462, 2817105],
+  ["IN", "Srinagar", 34.0837, 74.7973, 1180570],
+  ["IN", "Kochi", 9.9312, 76.2673, 602046, ["Cochin"]],
+  ["PK", "Karachi", 24.8607, 67.0011, 14910352],
+  ["PK", "Lahore", 31.5204, 74.3587, 11126285],
+  ["PK", "Islamabad", 33.6844, 73.0479, 1014825],
+  ["PK", "Peshawar", 34.0151, 71.5249, 1970042],
+  ["PK", "Quetta", 30.1798, 66.975, 1001205],
+  ["BD", "Dhaka", 23.8103, 90.4125, 8906039],
+  ["BD", "Chittagong", 22.3569, 91.7832, 2592439, ["Chattogram"]],
+  ["LK", "Colombo", 6.9271, 79.8612, 752993],
+  ["NP", "Kathmandu", 27.7172, 85.324, 1442271],
+  ["BT", "Thimphu", 27.4728, 89.639, 114551],
+  ["AF", "Kabul", 34.5553, 69.2075, 4434550],
+  ["AF", "Kandahar", 31.628, 65.7372, 614118],
+  ["CN", "Beijing", 39.9042, 116.4074, 21542000, ["Peking"]],
+  ["CN", "Shanghai", 31.2304, 121.4737, 24870895],
+  ["CN", "Guangzhou", 23.1291, 113.2644, 18676605, ["Canton"]],
+  ["CN", "Shenzhen", 22.5431, 114.0579, 17494398],
+  ["CN", "Wuhan", 30.5928, 114.3055, 12326518],
+  ["CN", "Chengdu", 30.5728, 104.0668, 20937757],
+  ["CN", "Chongqing", 29.4316, 106.9123, 15872179],
+  ["CN", "Tianjin", 39.3434, 117.3616, 13866009],
+  ["CN", "Xi'an", 34.3416, 108.9398, 12952907, ["Xian"]],
+  ["CN", "Hangzhou", 30.2741, 120.1551, 11936010],
+  ["CN", "Nanjing", 32.0603, 118.7969, 9314685],
+  ["CN", "Urumqi", 43.8256, 87.6168, 4054369, ["Ürümqi"]],
+  ["CN", "Lhasa", 29.652, 91.1721, 867891],
+  ["HK", "Hong Kong", 22.3193, 114.1694, 7482500, ["Kowloon"]],
+  ["MO", "Macau", 22.1987, 113.5439, 682300, ["Macao"]],
+  ["TW", "Taipei", 25.033, 121.5654, 2646204],
+  ["TW", "Kaohsiung", 22.6273, 120.3014, 2765932],
+  ["JP", "Tokyo", 35.6762, 139.6503, 13960000],
+  ["JP", "Osaka", 34.6937, 135.5023, 2753862],
+  ["JP", "Kyoto", 35.0116, 135.7681, 1463723],
+  ["JP", "Yokohama", 35.4437, 139.638, 3777491],
+  ["JP", "Nagoya", 35.1815, 136.9066, 2320361],
+  ["JP", "Sapporo", 43.0618, 141.3545, 1973395],
+  ["JP", "Fukuoka", 33.5904, 130.4017, 1612392],
+  ["JP", "Hiroshima", 34.3853, 132.4553, 1199391],
+  ["JP", "Fukushima", 37.7608, 140.4747, 282693],
+  ["JP", "Okinawa", 26.2124, 127.6809, 317625, ["Naha"]],
+  ["KR", "Seoul", 37.5665, 126.978, 9733509],
+  ["KR", "Busan", 35.1796, 129.0756, 3413841, ["Pusan"]],
+  ["KR", "Incheon", 37.4563, 126.7052, 2957026],
+  ["KP", "Pyongyang", 39.0392, 125.7625, 3038000],
+  ["MN", "Ulaanbaatar", 47.8864, 106.9057, 1466125, ["Ulan Bator"]],
+  ["SG", "Singapore", 1.3521, 103.8198, 5685807],
+  ["MY", "Kuala Lumpur", 3.139, 101.6869, 1808000],
+  ["MY", "Penang", 5.4141, 100.3288, 1740405, ["George Town"]],
+  ["ID", "Jakarta", -6.2088, 106.8456, 10562088],
+  ["ID", "Surabaya", -7.2575, 112.7521, 2874314],
+  ["ID", "Bandung", -6.9175, 107.6191, 2444160],
+  ["ID", "Bali", -8.3405, 115.092, 4317404, ["Denpasar"]],
+  ["ID", "Medan", 3.5952, 98.6722, 2435252],
+  ["PH", "Manila", 14.5995, 120.9842, 1846513, ["Metro Manila"]],
+  ["PH", "Quezon City", 14.676, 121.0437, 2960048],
+  ["PH", "Cebu", 10.3157, 123.8854, 964169, ["Cebu City"]],
+  ["PH", "Davao", 7.1907, 125.4553, 1776949, ["Davao City"]],
+  ["VN", "Hanoi", 21.0278, 105.8342, 8053663, ["Hà Nội"]],
+  ["VN", "Ho Chi Minh City", 10.8231, 106.6297, 8993082, ["Saigon"]],
+  ["VN", "Da Nang", 16.0544, 108.2022, 1134310, ["Đà Nẵng"]],
+  ["TH", "Bangkok", 13.7563, 100.5018, 10539000],
+  ["TH", "Chiang Mai", 18.7883, 98.9853, 127240],
+  ["TH", "Phuket", 7.8804, 98.3923, 416582],
+  ["MM", "Yangon", 16.8409, 96.1735, 5160512, ["Rangoon"]],
+  ["MM", "Naypyidaw", 19.7633, 96.0785, 924608, ["Nay Pyi Taw"]],
+  ["MM", "Mandalay", 21.9588, 96.0891, 1225553],
+  ["KH", "Phnom Penh", 11.5564, 104.9282, 2129371],
+  ["LA", "Vientiane", 17.9757, 102.6331, 948477],
+  ["AU", "Sydney", -33.8688, 151.2093, 5312163],
+  ["AU", "Melbourne", -37.8136, 144.9631, 5078193],
+  ["AU", "Brisbane", -27.4698, 153.0251, 2560720],
+  ["AU", "Perth", -31.9505, 115.8605, 2085973],
+  ["AU", "Adelaide", -34.9285, 138.6007, 1376601],
+  ["AU", "Canberra", -35.2809, 149.13, 431380],
+  ["AU", "Darwin", -12.4634, 130.8456, 147255],
+  ["NZ", "Auckland", -36.8485, 174.7633, 1717500],
+  ["NZ", "Wellington", -41.2865, 174.7762, 215400],
+  ["NZ", "Christchurch", -43.5321, 172.6362, 389300],
+  ["PG", "Port Moresby", -9.4438, 147.1803, 364145],
+  ["FJ", "Suva", -18.1416, 178.4419, 93970],
+  ["TR", "Istanbul", 41.0082, 28.9784, 15462452, ["İstanbul"]],
+  ["TR", "Ankara", 39.9334, 32.8597, 5663322],
+  ["TR", "Izmir", 38.4237, 27.1428, 4367251, ["İzmir"]],
+  ["TR", "Gaziantep", 37.0662, 37.3833, 2101157],
+  ["IR", "Tehran", 35.6892, 51.389, 8693706],
+  ["IR", "Isfahan", 32.6546, 51.668, 1961260, ["Esfahan"]],
+  ["IR", "Mashhad", 36.2605, 59.6168, 3001184],
+  ["IR", "Tabriz", 38.0962, 46.2738, 1558693],
+  ["IQ", "Baghdad", 33.3152, 44.3661, 7216000],
+  ["IQ", "Basra", 30.5085, 47.7804, 1326564, ["Basrah"]],
+  ["IQ", "Mosul", 36.3409, 43.13, 1683000],
+  ["IQ", "Erbil", 36.1911, 44.0092, 1612700, ["Arbil"]],
+  ["SY", "Damascus", 33.5138, 36.2765, 2079000],
+  ["SY", "Aleppo", 36.2021, 37.1343, 2098000],
+  ["SY", "Homs", 34.7324, 36.7137, 775404],
+  ["SY", "Idlib", 35.9306, 36.6339, 165000],
+  ["LB", "Beirut", 33.8938, 35.5018, 2421354],
+  ["JO", "Amman", 31.9454, 35.9284, 4007526],
+  ["IL", "Jerusalem", 31.7683, 35.2137, 936425],
+  ["IL", "Tel Aviv", 32.0853, 34.7818, 460613, ["Tel Aviv-Yafo"]],
+  ["IL", "Haifa", 32.794, 34.9896, 285316],
+  ["PS", "Gaza", 31.5017, 34.4668, 590481, ["Gaza City"]],
+  ["PS", "Ramallah", 31.9038, 35.2034, 38998],
+  ["PS", "Rafah", 31.2968, 34.2435, 171889],
+  ["PS", "Khan Younis", 31.3462, 34.3063, 205125],
+  ["PS", "Hebron", 31.5326, 35.0998, 215452],
+  ["PS", "Jenin", 32.4594, 35.3009, 49908],
+  ["SA", "Riyadh", 24.7136, 46.6753, 7676654],
+  ["SA", "Jeddah", 21.4858, 39.1925, 4697000],
+  ["SA", "Mecca", 21.3891, 39.8579, 2042000, ["Makkah"]],
+  ["SA", "Medina", 24.5247, 39.5692, 1488782],
+  ["AE", "Dubai", 25.2048, 55.2708, 3331420],
+  ["AE", "Abu Dhabi", 24.4539, 54.3773, 1483000],
+  ["QA", "Doha", 25.2854, 51.531, 2382000],
+  ["KW", "Kuwait City", 29.3759, 47.9774, 2989000],
+  ["BH", "Manama", 26.2285, 50.586, 157474],
+  ["OM", "Muscat", 23.588, 58.3829, 1421409],
+  ["YE", "Sanaa", 15.3694, 44.191, 2957000, ["Sana'a"]],
+  ["YE", "Aden", 12.7855, 45.0187, 1079670],
+  ["YE", "Hodeidah", 14.7978, 42.9545, 735000, ["Hudaydah"]],
+  ["EG", "Cairo", 30.0444, 31.2357, 9539673],
+  ["EG", "Alexandria", 31.2001, 29.9187, 5200000],
+  ["EG", "Giza", 30.0131, 31.2089, 4367343],
+  ["EG", "Luxor", 25.6872, 32.6396, 506588],
+  ["EG", "Sharm el-Sheikh", 27.9158, 34.33, 73000, ["Sharm El Sheikh"]],
+  ["LY", "Tripoli", 32.8872, 13.1913, 1158000],
+  ["LY", "Benghazi", 32.1167, 20.0667, 859000],
+  ["TN", "Tunis", 36.8065, 10.1815, 1056247],
+  ["DZ", "Algiers", 36.7538, 3.0588, 3415811],
+  ["DZ", "Oran", 35.6971, -0.6308, 1454078],
+  ["MA", "Casablanca", 33.5731, -7.5898, 3752000],
+  ["MA", "Rabat", 34.0209, -6.8416, 577827],
+  ["MA", "Marrakesh", 31.6295, -7.9811, 928850, ["Marrakech"]],
+  ["MA", "Fez", 34.0181, -5.0078, 1112072, ["Fès"]],
+  ["SD", "Khartoum", 15.5007, 32.5599, 5274321],
+  ["SD", "Omdurman", 15.6445, 32.4777, 2395159],
+  ["SD", "El Fasher", 13.6286, 25.3494, 264734, ["Al-Fashir"]],
+  ["SS", "Juba", 4.8594, 31.5713, 525953],
+  ["ET", "Addis Ababa", 9.03, 38.74, 3384569],
+  ["ET", "Mekelle", 13.4967, 39.4753, 310436],
+  ["ER", "Asmara", 15.3229, 38.9251, 963000],
+  ["SO", "Mogadishu", 2.0469, 45.3182, 2388000],
+  ["DJ", "Djibouti City", 11.5721, 43.1456, 603900],
+  ["KE", "Nairobi", -1.2921, 36.8219, 4397073],
+  ["KE", "Mombasa", -4.0435, 39.6682, 1208333],
+  ["KE", "Kisumu", -0.0917, 34.768, 610082],
+  ["UG", "Kampala", 0.3476, 32.5825, 1680600],
+  ["RW", "Kigali", -1.9441, 30.0619, 1132686],
+  ["BI", "Bujumbura", -3.3614, 29.3599, 1013000],
+  ["TZ", "Dar es Salaam", -6.7924, 39.2083, 4364541],
+  ["TZ", "Dodoma", -6.163, 35.7516, 410956],
+  ["TZ", "Zanzibar", -6.1659, 39.2026, 709809],
+  ["CD", "Kinshasa", -4.4419, 15.2663, 14970000],
+  ["CD", "Goma", -1.6585, 29.2205, 670000],
+  ["CD", "Lubumbashi", -11.6647, 27.4794, 2015000],
+  ["CG", "Brazzaville", -4.2634, 15.2429, 1827000],
+  ["CM", "Yaoundé", 3.848, 11.5021, 2765568, ["Yaounde"]],
+  ["CM", "Douala", 4.0511, 9.7679, 2768436],
+  ["GA", "Libreville", 0.4162, 9.4673, 703904],
+  ["TD", "N'Djamena", 12.1348, 15.0557, 1532588, ["Ndjamena"]],
+  ["CF", "Bangui", 4.3947, 18.5582, 889231],
+  ["NG", "Lagos", 6.5244, 3.3792, 15388000],
+  ["NG", "Abuja", 9.0765, 7.3986, 3464123],
+  ["NG", "Kano", 12.0022, 8.592, 4103000],
+  ["NG", "Ibadan", 7.3775, 3.947, 3649000],
+  ["NG", "Port Harcourt", 4.8156, 7.0498, 3020232],
+  ["NG", "Maiduguri", 11.8311, 13.151, 803000],
+  ["GH", "Accra", 5.6037, -0.187, 2514000],
+  ["GH", "Kumasi", 6.6885, -1.6244, 3490030],
+  ["CI", "Abidjan", 5.36, -4.0083, 5616633],
+  ["CI", "Yamoussoukro", 6.8276, -5.2893, 355573],
+  ["SN", "Dakar", 14.7167, -17.4677, 3140000],
+  ["ML", "Bamako", 12.6392, -8.0029, 2816943],
+  ["BF", "Ouagadougou", 12.3714, -1.5197, 2453496],
+  ["NE", "Niamey", 13.5116, 2.1254, 1334984],
+  ["GN", "Conakry", 9.6412, -13.5784, 1667864],
+  ["SL", "Freetown", 8.4657, -13.2317, 1055964],
+  ["LR", "Monrovia", 6.3156, -10.8074, 1569000],
+  ["TG", "Lomé", 6.1256, 1.2254, 1785000, ["Lome"]],
+  ["BJ", "Cotonou", 6.3703, 2.3912, 679012],
+  ["MR", "Nouakchott", 18.0735, -15.9582, 1195600],
+  ["AO", "Luanda", -8.839, 13.2894, 8952496],
+  ["ZM", "Lusaka", -15.3875, 28.3228, 2731696],
+  ["ZW", "Harare", -17.8252, 31.0335, 1542813],
+  ["ZW", "Bulawayo", -20.1325, 28.6264, 665952],
+  ["MW", "Lilongwe", -13.9626, 33.7741, 1122000],
+  ["MZ", "Maputo", -25.9692, 32.5732, 1124988],
+  ["MZ", "Beira", -19.8436, 34.8389, 592090],
+  ["MG", "Antananarivo", -18.8792, 47.5079, 1275207],
+  ["NA", "Windhoek", -22.5609, 17.0658, 431000],
+  ["BW", "Gaborone", -24.6282, 25.9231, 246325],
+  ["ZA", "Johannesburg", -26.2041, 28.0473, 5635127],
+  ["ZA", "Cape Town", -33.9249, 18.4241, 4618000],
+  ["ZA", "Durban", -29.8587, 31.0218, 3720953],
+  ["ZA", "Pretoria", -25.7479, 28.2293, 2472612],
+  ["ZA", "Soweto", -26.2485, 27.854, 1271628],
+  ["ZA", "Port Elizabeth", -33.9608, 25.6022, 1152115, ["Gqeberha"]],
+  ["GB", "London", 51.5074, -0.1278, 8982000],
+  ["GB", "Manchester", 53.4808, -2.2426, 553230],
+  ["GB", "Birmingham", 52.4862, -1.8904, 1141816],
+  ["GB", "Liverpool", 53.4084, -2.9916, 498042],
+  ["GB", "Leeds", 53.8008, -1.5491, 793139],
+  ["GB", "Glasgow", 55.8642, -4.2518, 635640],
+  ["GB", "Edinburgh", 55.9533, -3.1883, 524930],
+  ["GB", "Cardiff", 51.4816, -3.1791, 362756],
+  ["GB", "Belfast", 54.5973, -5.9301, 345418],
+  ["GB", "Bristol", 51.4545, -2.5879, 463400],
+  ["GB", "Oxford", 51.752, -1.2577, 152450],
+  ["GB", "Cambridge", 52.2053, 0.1218, 145818],
+  ["IE", "Dublin", 53.3498, -6.2603, 1173179],
+  ["IE", "Cork", 51.8985, -8.4756, 210000],
+  ["FR", "Paris", 48.8566, 2.3522, 2148000],
+  ["FR", "Marseille", 43.2965, 5.3698, 870731, ["Marseilles"]],
+  ["FR", "Lyon", 45.764, 4.8357, 516092, ["Lyons"]],
+  ["FR", "Toulouse", 43.6047, 1.4442, 479553],
+  ["FR", "Bordeaux", 44.8378, -0.5792, 257068],
+  ["FR", "Lille", 50.6292, 3.0573, 233098],
+  ["FR", "Strasbourg", 48.5734, 7.7521, 280966],
+  ["FR", "Nantes", 47.2184, -1.5536, 309346],
+  ["BE", "Brussels", 50.8503, 4.3517, 1208542, ["Bruxelles", "Brussel"]],
+  ["BE", "Antwerp", 51.2194, 4.4025, 529247, ["Antwerpen"]],
+  ["NL", "Amsterdam", 52.3676, 4.9041, 872680],
+  ["NL", "Rotterdam", 51.9244, 4.4777, 651446],
+  ["NL", "The Hague", 52.0705, 4.3007, 545838, ["Den Haag"]],
+  ["LU", "Luxembourg City", 49.6116, 6.1319, 124509],
+  ["DE", "Berlin", 52.52, 13.405, 3769495],
+  ["DE", "Hamburg", 53.5511, 9.9937, 1841179],
+  ["DE", "Munich", 48.1351, 11.582, 1471508, ["München"]],
+  ["DE", "Cologne", 50.9375, 6.9603, 1085664, ["Köln"]],
+  ["DE", "Frankfurt", 50.1109, 8.6821, 753056, ["Frankfurt am Main"]],
+  ["DE", "Stuttgart", 48.7758, 9.1829, 634830],
+  ["DE", "Düsseldorf", 51.2277, 6.7735, 619294, ["Dusseldorf"]],
+  ["DE", "Leipzig", 51.3397, 12.3731, 587857],
+  ["DE", "Dresden", 51.0504, 13.7373, 556780],
+  ["CH", "Zurich", 47.3769, 8.5417, 415367, ["Zürich"]],
+  ["CH", "Geneva", 46.2044, 6.1432, 201818, ["Genève"]],
+  ["CH", "Bern", 46.948, 7.4474, 133883, ["Berne"]],
+  ["CH", "Davos", 46.8027, 9.836, 11060],
+  ["AT", "Vienna", 48.2082, 16.3738, 1897491, ["Wien"]],
+  ["AT", "Salzburg", 47.8095, 13.055, 155021],
+  ["ES", "Madrid", 40.4168, -3.7038, 3223334],
+  ["ES", "Barcelona", 41.3851, 2.1734, 1620343],
+  ["ES", "Valencia", 39.4699, -0.3763, 794288],
+  ["ES", "Seville", 37.3891, -5.9845, 688711, ["Sevilla"]],
+  ["ES", "Bilbao", 43.263, -2.935, 345821],
+  ["ES", "Málaga", 36.7213, -4.4214, 571026, ["Malaga"]],
+  ["PT", "Lisbon", 38.7223, -9.1393, 504718, ["Lisboa"]],
+  ["PT", "Porto", 41.1579, -8.6291, 237591, ["Oporto"]],
+  ["IT", "Rome", 41.9028, 12.4964, 2872800, ["Roma"]],
+  ["IT", "Milan", 45.4642, 9.19, 1352000, ["Milano"]],
+  ["IT", "Naples", 40.8518, 14.2681, 959470, ["Napoli"]],
+  ["IT", "Turin", 45.0703, 7.6869, 870952, ["Torino"]],
+  ["IT", "Venice", 45.4408, 12.3155, 258685, ["Venezia"]],
+  ["IT", "Palermo", 38.1157, 13.3615, 657561],
+  ["IT", "Bologna", 44.4949, 11.3426, 388367],
+  ["VA", "Vatican City", 41.9029, 12.4534, 825, ["Vatican"]],
+  ["MT", "Valletta", 35.8989, 14.5146, 5827],
+  ["GR", "Athens", 37.9838, 23.7275, 664046, ["Athína"]],
+  ["GR", "Thessaloniki", 40.6401, 22.9444, 315196],
+  ["CY", "Nicosia", 35.1856, 33.3823, 200452],
+  ["DK", "Copenhagen", 55.6761, 12.5683, 602481, ["København"]],
+  ["SE", "Stockholm", 59.3293, 18.0686, 975551],
+  ["SE", "Gothenburg", 57.7089, 11.9746, 579281, ["Göteborg"]],
+  ["SE", "Malmö", 55.605, 13.0038, 344166, ["Malmo"]],
+  ["NO", "Oslo", 59.9139, 10.7522, 693494],
+  ["NO", "Bergen", 60.3913, 5.3221, 285911],
+  ["FI", "Helsinki", 60.1699, 24.9384, 656229],
+  ["IS", "Reykjavik", 64.1466, -21.9426, 131136, ["Reykjavík"]],
+  ["EE", "Tallinn", 59.437, 24.7536, 437619],
+  ["LV", "Riga", 56.9496, 24.1052, 632614],
+  ["LT", "Vilnius", 54.6872, 25.2797, 588412],
+  ["PL", "Warsaw", 52.2297, 21.0122, 1793579, ["Warszawa"]],
+  ["PL", "Kraków", 50.0647, 19.945, 779115, ["Krakow", "Cracow"]],
+  ["PL", "Gdańsk", 54.352, 18.6466, 470907, ["Gdansk"]],
+  ["PL", "Wrocław", 51.1079, 17.0385, 642869, ["Wroclaw"]],
+  ["CZ", "Prague", 50.0755, 14.4378, 1309000, ["Praha"]],
+  ["CZ", "Brno", 49.1951, 16.6068, 381346],
+  ["SK", "Bratislava", 48.1486, 17.1077, 437725],
+  ["HU", "Budapest", 47.4979, 19.0402, 1752286],
+  ["SI", "Ljubljana", 46.0569, 14.5058, 295504],
+  ["HR", "Zagreb", 45.815, 15.9819, 806341],
+  ["HR", "Dubrovnik", 42.6507, 18.0944, 42615],
+  ["BA", "Sarajevo", 43.8563, 18.4131, 275524],
+  ["RS", "Belgrade", 44.7866, 20.4489, 1166763, ["Beograd"]],
+  ["ME", "Podgorica", 42.4304, 19.2594, 150977],
+  ["XK", "Pristina", 42.6629, 21.1655, 198897, ["Prishtina"]],
+  ["MK", "Skopje", 41.9981, 21.4254, 544086],
+  ["AL", "Tirana", 41.3275, 19.8187, 418495],
+  ["BG", "Sofia", 42.6977, 23.3219, 1236047],
+  ["RO", "Bucharest", 44.4268, 26.1025, 1883425, ["București"]],
+  ["RO", "Cluj-Napoca", 46.7712, 23.6236, 324576],
+  ["MD", "Chișinău", 47.0105, 28.8638, 532513, ["Chisinau"]],
+  ["UA", "Kyiv", 50.4501, 30.5234, 2962180, ["Kiev"]],
+  ["UA", "Kharkiv", 49.9935, 36.2304, 1421125, ["Kharkov"]],
+  ["UA", "Odesa", 46.4825, 30.7233, 1015826, ["Odessa"]],
+  ["UA", "Lviv", 49.8397, 24.0297, 717273, ["Lvov"]],
+  ["UA", "Dnipro", 48.4647, 35.0462, 980948, ["Dnipropetrovsk"]],
+  ["UA", "Zaporizhzhia", 47.8388, 35.1396, 722713, ["Zaporizhia", "Zaporozhye"]],
+  ["UA", "Donetsk", 48.0159, 37.8029, 905364],
+  ["UA", "Luhansk", 48.574, 39.3078, 399559, ["Lugansk"]],
+  ["UA", "Mariupol", 47.0971, 37.5434, 431859],
+  ["UA", "Kherson", 46.6354, 32.6169, 283649],
+  ["UA", "Bakhmut", 48.5947, 38.0003, 71094],
+  ["UA", "Sevastopol", 44.6166, 33.5254, 547820],
+  ["BY", "Minsk", 53.9045, 27.5615, 2009786],
+  ["RU", "Moscow", 55.7558, 37.6173, 12506468, ["Москва"]],
+  ["RU", "Saint Petersburg", 59.9311, 30.3609, 5383890, ["St. Petersburg", "St Petersburg"]],
+  ["RU", "Novosibirsk", 55.0084, 82.9357, 1625631],
+  ["RU", "Yekaterinburg", 56.8389, 60.6057, 1493749],
+  ["RU", "Kazan", 55.7887, 49.1221, 1257391],
+  ["RU", "Vladivostok", 43.1155, 131.8855, 606561],
+  ["RU", "Kaliningrad", 54.7104, 20.4522, 489359],
+  ["RU", "Belgorod", 50.5997, 36.5986, 391554],
+  ["RU", "Kursk", 51.7304, 36.1926, 450977],
+  ["RU", "Grozny", 43.3178, 45.6949, 305911],
+  ["GE", "Tbilisi", 41.7151, 44.8271, 1118035],
+  ["AM", "Yerevan", 40.1792, 44.4991, 1075800],
+  ["AZ", "Baku", 40.4093, 49.8671, 2293100],
+  ["KZ", "Almaty", 43.222, 76.8512, 1916822],
+  ["KZ", "Astana", 51.1694, 71.4491, 1239900, ["Nur-Sultan"]],
+  ["UZ", "Tashkent", 41.2995, 69.2401, 2571668],
+  ["UZ", "Samarkand", 39.6542, 66.9597, 546303],
+  ["TM", "Ashgabat", 37.9601, 58.3261, 1031992],
+  ["KG", "Bishkek", 42.8746, 74.5698, 1074075],
+  ["TJ", "Dushanbe", 38.5598, 68.787, 863400],
+  ["US", "New York City", 40.7128, -74.006, 8336817, ["New York", "NYC", "Manhattan", "Brooklyn"]],
+  ["US", "Los Angeles", 34.0522, -118.2437, 3979576],
+  ["US", "Chicago", 41.8781, -87.6298, 2693976],
+  ["US", "Houston", 29.7604, -95.3698, 2320268],
+  ["US", "Phoenix", 33.4484, -112.074, 1680992],
+  ["US", "Philadelphia", 39.9526, -75.1652, 1584064],
+  ["US", "San Antonio", 29.4241, -98.4936, 1547253],
+  ["US", "San Diego", 32.7157, -117.1611, 1423851],
+  ["US", "Dallas", 32.7767, -96.797, 1343573],
+  ["US", "Austin", 30.2672, -97.7431, 978908],
+  ["US", "San Francisco", 37.7749, -122.4194, 881549],
+  ["US", "San Jose", 37.3382, -121.8863, 1021795],
+  ["US", "Seattle", 47.6062, -122.3321, 753675],
+  ["US", "Denver", 39.7392, -104.9903, 727211],
+  ["US", "Washington, D.C.", 38.9072, -77.0369, 705749, ["Washington DC", "Washington D.C."]],
+  ["US", "Boston", 42.3601, -71.0589, 692600],
+  ["US", "Atlanta", 33.749, -84.388, 498715],
+  ["US", "Miami", 25.7617, -80.1918, 467963],
+  ["US", "Detroit", 42.3314, -83.0458, 670031],
+  ["US", "Minneapolis", 44.9778, -93.265, 429954],
+  ["US", "New Orleans", 29.9511, -90.0715, 390144],
+  ["US", "Las Vegas", 36.1699, -115.1398, 651319],
+  ["US", "Portland", 45.5152, -122.6784, 654741],
+  ["US", "Nashville", 36.1627, -86.7816, 670820],
+  ["US", "Baltimore", 39.2904, -76.6122, 593490],
+  ["US", "Pittsburgh", 40.4406, -79.9959, 300286],
+  ["US", "Honolulu", 21.3069, -157.8583, 345064],
+  ["US", "Anchorage", 61.2181, -149.9003, 291247],
+  ["CA", "Toronto", 43.6532, -79.3832, 2731571],
+  ["CA", "Montreal", 45.5017, -73.5673, 1704694, ["Montréal"]],
+  ["CA", "Vancouver", 49.2827, -123.1207, 675218],
+  ["CA", "Calgary", 51.0447, -114.0719, 1336000],
+  ["CA", "Edmonton", 53.5461, -113.4938, 981280],
+  ["CA", "Ottawa", 45.4215, -75.6972, 994837],
+  ["CA", "Winnipeg", 49.8951, -97.1384, 749534],
+  ["CA", "Quebec City", 46.8139, -71.208, 542298, ["Québec City"]],
+  ["MX", "Mexico City", 19.4326, -99.1332, 9209944, ["Ciudad de México", "CDMX"]],
+  ["MX", "Guadalajara", 20.6597, -103.3496, 1460148],
+  ["MX", "Monterrey", 25.6866, -100.3161, 1135512],
+  ["MX", "Tijuana", 32.5149, -117.0382, 1810645],
+  ["MX", "Cancún", 21.1619, -86.8515, 888797, ["Cancun"]],
+  ["MX", "Ciudad Juárez", 31.6904, -106.4245, 1512354, ["Ciudad Juarez"]],
+  ["MX", "Culiacán", 24.8091, -107.394, 1003530, ["Culiacan"]],
+  ["GT", "Guatemala City", 14.6349, -90.5069, 2934841],
+  ["SV", "San Salvador", 13.6929, -89.2182, 567698],
+  ["HN", "Tegucigalpa", 14.0723, -87.1921, 1444085],
+  ["NI", "Managua", 12.1364, -86.2514, 1055247],
+  ["CR", "San José", 9.9281, -84.0907, 342188],
+  ["PA", "Panama City", 8.9824, -79.5199, 880691],
+  ["CU", "Havana", 23.1136, -82.3666, 2130081, ["La Habana"]],
+  ["HT", "Port-au-Prince", 18.5944, -72.3074, 987310],
+  ["DO", "Santo Domingo", 18.4861, -69.9312, 965040],
+  ["JM", "Kingston", 17.9712, -76.7936, 662426],
+  ["PR", "San Juan", 18.4655, -66.1057, 342259],
+  ["CO", "Bogotá", 4.711, -74.0721, 7412566, ["Bogota"]],
+  ["CO", "Medellín", 6.2442, -75.5812, 2529403, ["Medellin"]],
+  ["CO", "Cali", 3.4516, -76.532, 2227642],
+  ["CO", "Cartagena", 10.391, -75.4794, 914552],
+  ["VE", "Caracas", 10.4806, -66.9036, 2082000],
+  ["VE", "Maracaibo", 10.6427, -71.6125, 1551539],
+  ["EC", "Quito", -0.1807, -78.4678, 2011388],
+  ["EC", "Guayaquil", -2.1709, -79.9224, 2698077],
+  ["PE", "Lima", -12.0464, -77.0428, 9751717],
+  ["PE", "Cusco", -13.5319, -71.9675, 428450, ["Cuzco"]],
+  ["BO", "La Paz", -16.4897, -68.1193, 835361],
+  ["BO", "Santa Cruz de la Sierra", -17.8146, -63.1561, 1454539],
+  ["PY", "Asunción", -25.2637, -57.5759, 525252, ["Asuncion"]],
+  ["UY", "Montevideo", -34.9011, -56.1645, 1319108],
+  ["CL", "Santiago", -33.4489, -70.6693, 6257516],
+  ["CL", "Valparaíso", -33.0472, -71.6127, 296655, ["Valparaiso"]],
+  ["AR", "Buenos Aires", -34.6037, -58.3816, 2891082],
+  ["AR", "Córdoba", -31.4201, -64.1888, 1391000, ["Cordoba"]],
+  ["AR", "Rosario", -32.9442, -60.6505, 1193605],
+  ["AR", "Mendoza", -32.8895, -68.8458, 115041],
+  ["BR", "São Paulo", -23.5505, -46.6333, 12325232, ["Sao Paulo"]],
+  ["BR", "Rio de Janeiro", -22.9068, -43.1729, 6747815],
+  ["BR", "Brasília", -15.7975, -47.8919, 3015268, ["Brasilia"]],
+  ["BR", "Salvador", -12.9777, -38.5016, 2886698],
+  ["BR", "Fortaleza", -3.7319, -38.5267, 2686612],
+  ["BR", "Belo Horizonte", -19.9167, -43.9345, 2521564],
+  ["BR", "Manaus", -3.119, -60.0217, 2219580],
+  ["BR", "Recife", -8.0476, -34.877, 1653461],
+  ["BR", "Porto Alegre", -30.0346, -51.2177, 1488252],
+  ["BR", "Curitiba", -25.4284, -49.2733, 1948626],
+  ["GY", "Georgetown", 6.8013, -58.1551, 235017],
+  ["GL", "Nuuk", 64.1814, -51.6941, 18800],
+];
+
+// ---------- Normalization ----------
+// Diacritic-insensitive but case-*sensitive*: city names are proper nouns, and
+// keeping case avoids matching ordinary words.
+const stripMarks = (s) => String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ---------- Index (per country, built lazily) ----------
+const CITIES = CITY_TABLE.map(([country, name, lat, lon, population, aliases = []]) =>
+  Object.freeze({ country, name, lat, lon, population, aliases })
+);
+
+let byCountry = null; // alpha2 -> { re, lookup: Map(normalized name -> city) }
+
+function buildIndex() {
+  const groups = new Map();
+  for (const c of CITIES) {
+    if (!groups.has(c.country)) groups.set(c.country, []);
+    groups.get(c.country).push(c);
+  }
+
+  const index = new Map();
+  for (const [cc, cities] of groups) {
+    const lookup = new Map();
+    // Bigger cities claim a shared spelling first
+    for (const c of [...cities].sort((a, b) => b.population - a.population)) {
+      for (const n of [c.name, ...c.aliases]) {
+        const key = stripMarks(n);
+        if (!lookup.has(key)) lookup.set(key, c);
+      }
+    }
+    // Longest names first so "New York City" wins over "New York". The leading boundary
+    // is a captured group, not a lookbehind (older Safari can't parse those).
+    const alts = [...lookup.keys()].sort((a, b) => b.length - a.length).map(escapeRe);
+    const re = new RegExp(`(^|[^\\p{L}\\p{N}])(${alts.join("|")})(?![\\p{L}\\p{N}])`, "gu");
+    index.set(cc, { re, lookup });
+  }
+  return index;
+}
+
+// ---------- Public API ----------
+/**
+ * First known city of `country` mentioned in `text` (earliest mention wins), or null.
+ * `country` may be anything `resolveCountry` understands.
+ */
+export function matchCity(text, country) {
+  if (!text) return null;
+  const rec = resolveCountry(country);
+  if (!rec) return null;
+  if (!byCountry) byCountry = buildIndex();
+  const entry = byCountry.get(rec.alpha2);
+  if (!entry) return null;
+
+  entry.re.lastIndex = 0;
+  const m = entry.re.exec(stripMarks(text));
+  return m ? entry.lookup.get(m[2]) || null : null;
+}
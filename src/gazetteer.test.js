@@ -0,0 +1,51 @@
+import { matchCity } from './gazetteer';
+import { placeArticles } from './geoPlacement';
+import { loadCountryShapes } from './countryShapes';
+
+beforeAll(() => loadCountryShapes());
+
+test('matches city names and aliases within the given country', () => {
+  expect(matchCity('Floods hit Bombay suburbs', 'India').name).toBe('Mumbai');
+  expect(matchCity('Protests in Sao Paulo', 'BR').name).toBe('São Paulo');
+  expect(matchCity('New York City council votes', 'USA').name).toBe('New York City');
+  expect(matchCity('Mumbai stocks rally', 'Pakistan')).toBeNull();
+  expect(matchCity('A nice day in Parisian cafes', 'France')).toBeNull();
+});
+
+test('earliest mention wins', () => {
+  expect(matchCity('Lyon beats Paris in final', 'FR').name).toBe('Lyon');
+});
+
+test('placeArticles puts city stories near the city instead of scattering', () => {
+  const rows = [1, 2, 3].map((i) => ({
+    id: `m${i}`, country: 'IN', lat: 22, lon: 79, title: `Mumbai monsoon update ${i}`,
+  }));
+  placeArticles(rows).forEach((a) => {
+    expect(a.city).toBe('Mumbai');
+    expect(Math.abs(a.lat - 19.076)).toBeLessThan(0.3);
+    expect(Math.abs(a.lon - 72.8777)).toBeLessThan(0.3);
+  });
+});
+
+test('bare words that are only part of a place name do not match', () => {
+  expect(matchCity('Drought along the Rio Grande do Sul coast', 'BR')).toBeNull();
+  expect(matchCity('Carnival opens in Rio de Janeiro', 'BR').name).toBe('Rio de Janeiro');
+  expect(matchCity('Wildfires in Washington state', 'US')).toBeNull();
+  expect(matchCity('(Osaka) Expo closes', 'JP').name).toBe('Osaka');
+});
+
+test('a single in-country article still moves to the city it mentions', () => {
+  const [a] = placeArticles([{ id: 'o1', country: 'JP', lat: 35.68, lon: 139.65, title: 'Osaka port reopens' }]);
+  expect(a.city).toBe('Osaka');
+  expect(Math.abs(a.lat - 34.6937)).toBeLessThan(0.3);
+  expect(Math.abs(a.lon - 135.5023)).toBeLessThan(0.3);
+});
+
+test('city placement does not depend on the order of the rows', () => {
+  const rows = [1, 2, 3].map((i) => ({ id: `k${i}`, country: 'KE', lat: 0, lon: 0, title: `Nairobi traffic ${i}` }));
+  const byId = (list) => Object.fromEntries(list.map((a) => [a.id, [a.lat, a.lon]]));
+  expect(byId(placeArticles(rows))).toEqual(byId(placeArticles(rows.slice().reverse())));
+  expect(byId(placeArticles(rows.slice(1)))).toEqual(
+    Object.fromEntries(Object.entries(byId(placeArticles(rows))).filter(([id]) => id !== 'k1'))
+  );
+});
@@ -0,0 +1,39 @@
+import { placeArticles } from './geoPlacement';
+import { getCountryShape, loadCountryShapes, pointInShape } from './countryShapes';
+
+beforeAll(() => loadCountryShapes());
+
+test('places articles with missing coords on land inside their country', () => {
+  const items = ['Singapore', 'Chile', 'Norway', 'Kenya', 'United States'].map((country, i) => ({
+    id: `a${i}`, country, lat: 0, lon: 0,
+  }));
+  const placed = placeArticles(items);
+  placed.forEach((a) => {
+    expect(pointInShape(a.lat, a.lon, getCountryShape(a.country))).toBe(true);
+  });
+});
+
+test('placement is deterministic per article id', () => {
+  const items = [{ id: 'x1', country: 'Japan', lat: null, lon: null }];
+  expect(placeArticles(items)).toEqual(placeArticles(items));
+});
+
+test('keeps a single in-country point and spreads duplicates', () => {
+  const paris = { country: 'France', lat: 48.85, lon: 2.35 };
+  expect(placeArticles([{ id: 'p', ...paris }])[0]).toMatchObject({ lat: 48.85, lon: 2.35 });
+
+  const [a, b] = placeArticles([{ id: 'p1', ...paris }, { id: 'p2', ...paris }]);
+  expect(a.lat === b.lat && a.lon === b.lon).toBe(false);
+  expect(pointInShape(b.lat, b.lon, getCountryShape('France'))).toBe(true);
+});
+
+test('leaves unknown countries untouched', () => {
+  const row = { id: 'u', country: 'Atlantis', lat: 1, lon: 2 };
+  expect(placeArticles([row])[0]).toEqual(row);
+});
+
+test('resolves country aliases and codes before placing', () => {
+  const [a] = placeArticles([{ id: 'c', country: 'Czech Republic', lat: 0, lon: 0 }]);
+  expect(a).toMatchObject({ country: 'Czechia', country_code: 'CZ' });
+  expect(pointInShape(a.lat, a.lon, getCountryShape('CZ'))).toBe(true);
+});
@@ -0,0 +1,213 @@
+// src/heatmap.js
+// Country choropleth: shades each country by average sentiment (hue) and article
+// volume (opacity), from /event/:id country rows or aggregated /news items.
+
+import { resolveCountry } from "./countries";
+import { getCountryShape } from "./countryShapes";
+import { createPinLayer } from "./pinLayer";
+
+const LAYER_NAME = "heatmap";
+
+// Sentiment scale, negative → positive (same palette as the cluster badges)
+export const HEAT_STOPS = [
+  { score: -1, color: [217, 48, 37] },  // #d93025
+  { score: 0, color: [224, 168, 0] },   // #e0a800
+  { score: 1, color: [46, 158, 68] },   // #2e9e44
+];
+
+const MIN_ALPHA = 0.25;
+const MAX_ALPHA = 0.8;
+
+// ---------- Scores ----------
+const LABEL_SCORES = { positive: 1, neutral: 0, negative: -1 };
+
+/** Sentiment label or number → score in [-1, 1] (null when unknown). */
+export function sentimentScore(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : null;
+  if (typeof value !== "string") return null;
+  const key = value.trim().toLowerCase();
+  if (key in LABEL_SCORES) return LABEL_SCORES[key];
+  const n = Number(key);
+  return key !== "" && Number.isFinite(n) ? Math.max(-1, Math.min(1, n)) : null;
+}
+
+/** Score → "positive" | "neutral" | "negative". */
+export function sentimentLabel(score) {
+  if (score == null) return "neutral";
+  if (score > 0.15) return "positive";
+  if (score < -0.15) return "negative";
+  return "neutral";
+}
+
+// ---------- Aggregation ----------
+/**
+ * One cell per country: `{ code, name, count, score, row }`, where `row` is what the
+ * details card shows. Event country rows already carry `count`/`avg_sentiment`.
+ */
+export function cellsFromCountryRows(countryRows) {
+  const cells = new Map();
+  for (const raw of countryRows || []) {
+    const rec = resolveCountry(raw.country);
+    if (!rec) continue;
+    const count = Number(raw.count) || 0;
+    const cell = cells.get(rec.alpha2);
+    if (cell) {
+      // Same country under two spellings: weight the scores by volume
+      const score = sentimentScore(raw.avg_sentiment) ?? 0;
+      cell.score = (cell.score * cell.count + score * count) / Math.max(cell.count + count, 1);
+      cell.count += count;
+      cell.row.count = cell.count;
+      continue;
+    }
+    cells.set(rec.alpha2, {
+      code: rec.alpha2,
+      name: rec.name,
+      count,
+      score: sentimentScore(raw.avg_sentiment) ?? 0,
+      row: { ...raw, country: rec.name, countryCode: rec.alpha2 },
+    });
+  }
+  return [...cells.values()];
+}
+
+/** Aggregate /news items (raw `sentiment` labels) into the same cells. */
+export function cellsFromArticles(articles) {
+  const groups = new Map();
+  for (const a of articles || []) {
+    const rec = resolveCountry(a.country);
+    if (!rec) continue;
+    let g = groups.get(rec.alpha2);
+    if (!g) {
+      g = { rec, count: 0, scoreSum: 0, scored: 0, sources: new Map(), lat: 0, lon: 0, located: 0 };
+      groups.set(rec.alpha2, g);
+    }
+    g.count++;
+    const s = sentimentScore(a.sentiment);
+    if (s != null) {
+      g.scoreSum += s;
+      g.scored++;
+    }
+    if (a.source) g.sources.set(a.source, (g.sources.get(a.source) || 0) + 1);
+    if (Number.isFinite(a.lat) && Number.isFinite(a.lon)) {
+      g.lat += a.lat;
+      g.lon += a.lon;
+      g.located++;
+    }
+  }
+
+  return [...groups.values()].map((g) => {
+    const score = g.scored ? g.scoreSum / g.scored : 0;
+    const top = [...g.sources.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([s]) => s);
+    return {
+      code: g.rec.alpha2,
+      name: g.rec.name,
+      count: g.count,
+      score,
+      row: {
+        country: g.rec.name,
+        countryCode: g.rec.alpha2,
+        count: g.count,
+        avg_sentiment: sentimentLabel(score),
+        top_sources: top,
+        lat: g.located ? g.lat / g.located : undefined,
+        lon: g.located ? g.lon / g.located : undefined,
+      },
+    };
+  });
+}
+
+// ---------- Colour ----------
+/** Fill colour for a score in [-1, 1]; `volume` in [0, 1] sets the opacity. */
+export function heatColor(score, volume = 1) {
+  const s = Math.max(-1, Math.min(1, score ?? 0));
+  const i = s <= HEAT_STOPS[1].score ? 0 : 1;
+  const a = HEAT_STOPS[i];
+  const b = HEAT_STOPS[i + 1];
+  const t = (s - a.score) / (b.score - a.score);
+  const [r, g, bl] = a.color.map((c, k) => Math.round(c + (b.color[k] - c) * t));
+  const alpha = MIN_ALPHA + (MAX_ALPHA - MIN_ALPHA) * Math.max(0, Math.min(1, volume));
+  return `rgba(${r}, ${g}, ${bl}, ${Number(alpha.toFixed(3))})`;
+}
+
+/** Volume on a log scale so one huge country doesn't wash the rest out. */
+const volumeOf = (count, maxCount) => (maxCount > 0 ? Math.log1p(count) / Math.log1p(maxCount) : 0);
+
+// ---------- Layer ----------
+const MIN_PART_SHARE = 0.005; // islands smaller than this share of the main landmass are skipped
+const MAX_PARTS = 30;
+
+let layer = null; // { viewer, ds, polys }
+
+function getLayer(viewer) {
+  if (layer && layer.viewer === viewer) return layer;
+  const ds = new window.Cesium.CustomDataSource(LAYER_NAME);
+  ds.show = false;
+  viewer.dataSources.add(ds);
+  layer = {
+    viewer,
+    ds,
+    // One entity per polygon part (a Cesium entity holds a single polygon)
+    polys: createPinLayer(ds.entities, {
+      key: (part) => part.key,
+      signature: (part) => JSON.stringify(part.cell),
+    }),
+  };
+  return layer;
+}
+
+/** Polygon parts of a country worth drawing, largest first. */
+function partsOf(shape) {
+  const sorted = shape.polygons.slice().sort((a, b) => b.area - a.area);
+  const minArea = sorted[0].area * MIN_PART_SHARE;
+  return sorted.filter((p) => p.area >= minArea).slice(0, MAX_PARTS);
+}
+
+function toHierarchy(poly) {
+  const Cesium = window.Cesium;
+  // TopoJSON rings repeat the first point at the end; Cesium closes polygons itself
+  const toPositions = (ring) => Cesium.Cartesian3.fromDegreesArray(ring.slice(0, -1).flat());
+  return new Cesium.PolygonHierarchy(
+    toPositions(poly.rings[0]),
+    poly.rings.slice(1).map((h) => new Cesium.PolygonHierarchy(toPositions(h)))
+  );
+}
+
+/** Draw (diff) the choropleth for `cells`. Returns the pin-layer sync stats. */
+export function drawHeatmap(viewer, cells) {
+  const Cesium = window.Cesium;
+  const { polys } = getLayer(viewer);
+  const maxCount = Math.max(0, ...cells.map((c) => c.count));
+
+  const parts = [];
+  for (const cell of cells) {
+    const shape = getCountryShape(cell.code);
+    if (!shape) continue;
+    const polygons = partsOf(shape);
+    // Cards "Fly to" the row's lat/lon; aggregated rows may not have one
+    const main = polygons[0].bbox;
+    const row = Number.isFinite(cell.row.lat) && Number.isFinite(cell.row.lon)
+      ? cell.row
+      : { ...cell.row, lat: (main.lat[0] + main.lat[1]) / 2, lon: (main.lon[0] + main.lon[1]) / 2 };
+    polygons.forEach((poly, i) => parts.push({ key: `${cell.code}:${i}`, cell, poly, row }));
+  }
+
+  return polys.sync(
+    parts,
+    ({ cell, poly, row }) => ({
+      name: `${cell.name} (${cell.count})`,
+      polygon: {
+        hierarchy: toHierarchy(poly),
+        material: Cesium.Color.fromCssColorString(heatColor(cell.score, volumeOf(cell.count, maxCount))),
+        height: 0, // plain primitive, no ground clamping (much cheaper for detailed outlines)
+        outline: false,
+      },
+      countryData: row,
+    }),
+    { salt: String(maxCount) }
+  );
+}
+
+/** Show/hide the choropleth layer. */
+export function showHeatmap(viewer, on) {
+  getLayer(viewer).ds.show = !!on;
+}
@@ -0,0 +1,43 @@
+import { sentimentScore, sentimentLabel, cellsFromCountryRows, cellsFromArticles, heatColor } from './heatmap';
+
+test('sentiment labels and numbers map onto [-1, 1]', () => {
+  expect(sentimentScore('Positive')).toBe(1);
+  expect(sentimentScore('negative')).toBe(-1);
+  expect(sentimentScore(0.4)).toBe(0.4);
+  expect(sentimentScore('-3')).toBe(-1);
+  expect(sentimentScore('')).toBeNull();
+  expect(sentimentScore(undefined)).toBeNull();
+  expect(sentimentLabel(0.5)).toBe('positive');
+  expect(sentimentLabel(0.1)).toBe('neutral');
+  expect(sentimentLabel(-0.5)).toBe('negative');
+});
+
+test('event country rows merge spellings of the same country', () => {
+  const cells = cellsFromCountryRows([
+    { country: 'USA', count: 3, avg_sentiment: 'positive' },
+    { country: 'United States', count: 1, avg_sentiment: 'negative' },
+    { country: 'France', count: 2, avg_sentiment: 'neutral' },
+    { country: 'Atlantis', count: 9 },
+  ]);
+  expect(cells.map((c) => c.code)).toEqual(['US', 'FR']);
+  expect(cells[0]).toMatchObject({ name: 'United States', count: 4, score: 0.5 });
+  expect(cells[0].row.count).toBe(4);
+});
+
+test('articles aggregate into volume, mean sentiment and top sources', () => {
+  const cells = cellsFromArticles([
+    { country: 'DE', sentiment: 'positive', source: 'dw', lat: 52, lon: 13 },
+    { country: 'Germany', sentiment: 'negative', source: 'dw', lat: 50, lon: 9 },
+    { country: 'Germany', sentiment: 'negative', source: 'spiegel' },
+  ]);
+  expect(cells).toHaveLength(1);
+  expect(cells[0].count).toBe(3);
+  expect(cells[0].score).toBeCloseTo(-1 / 3);
+  expect(cells[0].row).toMatchObject({ avg_sentiment: 'negative', top_sources: ['dw', 'spiegel'], lat: 51, lon: 11 });
+});
+
+test('colour runs red → amber → green, opacity follows volume', () => {
+  expect(heatColor(-1, 0)).toBe('rgba(217, 48, 37, 0.25)');
+  expect(heatColor(0, 1)).toBe('rgba(224, 168, 0, 0.8)');
+  expect(heatColor(1, 1)).toBe('rgba(46, 158, 68, 0.8)');
+});
@@ -0,0 +1,164 @@
+// src/http.js
+// JSON fetching for the backend with typed errors (network, HTTP status, bad JSON,
+// timeout), a per-attempt timeout and retry with backoff for transient failures
+// (5xx / 429 / network blips while the Hugging Face Space cold-starts).
+
+// ---------- Errors ----------
+export class ApiError extends Error {
+  constructor(message, { kind, url, status = null, retryable = false, cause } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;           // "network" | "http" | "parse" | "timeout"
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(url, cause) {
+    super("Network error", { kind: "network", url, retryable: true, cause });
+    this.name = "NetworkError";
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor(url, status, { retryAfterMs = null } = {}) {
+    super(`HTTP ${status}`, { kind: "http", url, status, retryable: status === 429 || (status >= 500 && status !== 501) });
+    this.name = "HttpError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class ParseError extends ApiError {
+  constructor(url, cause) {
+    super("Invalid JSON in response", { kind: "parse", url, cause });
+    this.name = "ParseError";
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(url, ms) {
+    super(`Timed out after ${Math.round(ms / 1000)} s`, { kind: "timeout", url, retryable: true });
+    this.name = "TimeoutError";
+  }
+}
+
+const isAbort = (err) => err?.name === "AbortError";
+
+/** Short, user-facing explanation of a failed request. */
+export function describeError(err) {
+  if (!(err instanceof ApiError)) return "Something went wrong while loading data.";
+  switch (err.kind) {
+    case "network":
+      return "Can't reach the server. Check your connection.";
+    case "timeout":
+      return "The server took too long to respond.";
+    case "parse":
+      return "The server sent a response we couldn't read.";
+    default:
+      if (err.status === 429) return "Too many requests. Please wait a moment.";
+      if (err.status === 404) return "Not found (it may have expired).";
+      if (err.status >= 500) return `The server had a problem (HTTP ${err.status}).`;
+      return `Request failed (HTTP ${err.status}).`;
+  }
+}
+
+// ---------- Retry helpers ----------
+const MAX_RETRY_WAIT_MS = 30000; // never sit on a Retry-After longer than this
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(secs, 0) * 1000;
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(at - Date.now(), 0) : null;
+}
+
+/** Exponential backoff with jitter: base, 2×base, 4×base … (±25%), capped. */
+export function backoffDelay(attempt, { baseMs = 1000, maxMs = 15000, random = Math.random } = {}) {
+  const raw = Math.min(baseMs * 2 ** attempt, maxMs);
+  return Math.round(raw * (0.75 + random() * 0.5));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// ---------- Fetch ----------
+async function attempt(url, { signal, timeoutMs, fetchImpl, onResponse }) {
+  const started = Date.now();
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    let res;
+    try {
+      res = await fetchImpl(url, { signal: controller.signal });
+    } catch (err) {
+      if (timedOut) throw new TimeoutError(url, timeoutMs);
+      if (isAbort(err)) throw err;
+      throw new NetworkError(url, err);
+    }
+    if (!res.ok) {
+      throw new HttpError(url, res.status, { retryAfterMs: parseRetryAfter(res.headers?.get?.("Retry-After")) });
+    }
+    try {
+      const text = await res.text();
+      const data = JSON.parse(text);
+      // Content-Length is the size on the wire; compressed/chunked replies usually omit it
+      const length = Number(res.headers?.get?.("Content-Length"));
+      const bytes = Number.isFinite(length) && length > 0 ? length : new Blob([text]).size;
+      onResponse?.({ url, status: res.status, ms: Date.now() - started, bytes });
+      return data;
+    } catch (err) {
+      if (timedOut) throw new TimeoutError(url, timeoutMs);
+      if (isAbort(err)) throw err;
+      throw new ParseError(url, err);
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * GET `url` as JSON. Rejects with an `ApiError` subclass (or the caller's AbortError).
+ * Retryable failures are tried again `retries` times with backoff; `onRetry({ attempt,
+ * retries, delayMs, error })` fires before each wait. `onResponse({ url, status, ms, bytes })`
+ * fires for the successful attempt (`bytes` from Content-Length, else the body's size).
+ */
+export async function fetchJson(
+  url,
+  { signal, timeoutMs = 30000, retries = 3, backoffMs = 1000, onRetry, onResponse, fetchImpl = (...a) => fetch(...a) } = {}
+) {
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt(url, { signal, timeoutMs, fetchImpl, onResponse });
+    } catch (err) {
+      if (isAbort(err) || !err.retryable || n >= retries) throw err;
+      if (err.kind === "network" && typeof navigator !== "undefined" && navigator.onLine === false) throw err; // no point waiting
+      const delayMs = Math.min(err.retryAfterMs ?? backoffDelay(n, { baseMs: backoffMs }), MAX_RETRY_WAIT_MS);
+      onRetry?.({ attempt: n + 1, retries, delayMs, error: err });
+      await sleep(delayMs, signal);
+    }
+  }
+}
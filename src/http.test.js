@@ -0,0 +1,79 @@
+import { fetchJson, backoffDelay, describeError, HttpError, NetworkError, ParseError, TimeoutError } from './http';
+
+const response = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (k) => headers[k] ?? null },
+  text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+const fast = { backoffMs: 1 };
+
+test('resolves JSON on success', async () => {
+  await expect(fetchJson('/events', { fetchImpl: () => Promise.resolve(response(200, { events: [] })) }))
+    .resolves.toEqual({ events: [] });
+});
+
+test('reports status, time and size of the successful response', async () => {
+  const onResponse = jest.fn();
+  await fetchJson('/news', { onResponse, fetchImpl: () => Promise.resolve(response(200, {}, { 'Content-Length': '512' })) });
+  expect(onResponse).toHaveBeenCalledWith(expect.objectContaining({ url: '/news', status: 200, bytes: 512 }));
+  expect(onResponse.mock.calls[0][0].ms).toBeGreaterThanOrEqual(0);
+
+  await fetchJson('/news', { onResponse, fetchImpl: () => Promise.resolve(response(200, { items: ['é'] })) });
+  expect(onResponse).toHaveBeenLastCalledWith(expect.objectContaining({ bytes: 16 })); // {"items":["é"]}: 15 chars, é takes 2 bytes
+});
+
+test('typed errors: HTTP status, bad JSON, network', async () => {
+  await expect(fetchJson('/event/9', { fetchImpl: () => Promise.resolve(response(404, {})) }))
+    .rejects.toMatchObject({ name: 'HttpError', status: 404, retryable: false });
+  await expect(fetchJson('/news', { fetchImpl: () => Promise.resolve(response(200, '<html>')) }))
+    .rejects.toBeInstanceOf(ParseError);
+  await expect(fetchJson('/news', { ...fast, retries: 0, fetchImpl: () => Promise.reject(new TypeError('Failed to fetch')) }))
+    .rejects.toBeInstanceOf(NetworkError);
+});
+
+test('times out a hanging request', async () => {
+  const hang = (url, { signal }) =>
+    new Promise((_, reject) => signal.addEventListener('abort', () => reject(Object.assign(new Error('x'), { name: 'AbortError' }))));
+  await expect(fetchJson('/events', { timeoutMs: 5, retries: 0, fetchImpl: hang })).rejects.toBeInstanceOf(TimeoutError);
+});
+
+test('retries transient 5xx with backoff, then succeeds', async () => {
+  const statuses = [503, 502];
+  const fetchImpl = jest.fn(() => Promise.resolve(statuses.length ? response(statuses.shift(), {}) : response(200, { ok: 1 })));
+  const onRetry = jest.fn();
+  await expect(fetchJson('/events', { ...fast, fetchImpl, onRetry })).resolves.toEqual({ ok: 1 });
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+  expect(onRetry.mock.calls.map(([r]) => [r.attempt, r.error.status])).toEqual([[1, 503], [2, 502]]);
+});
+
+test('gives up after the retry budget and honours Retry-After', async () => {
+  const fetchImpl = jest.fn(() => Promise.resolve(response(500, {})));
+  await expect(fetchJson('/events', { ...fast, retries: 2, fetchImpl })).rejects.toBeInstanceOf(HttpError);
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+
+  const onRetry = jest.fn();
+  const limited = [response(429, {}, { 'Retry-After': '0' }), response(200, [])];
+  await fetchJson('/events', { fetchImpl: () => Promise.resolve(limited.shift()), onRetry });
+  expect(onRetry.mock.calls[0][0].delayMs).toBe(0);
+});
+
+test('caller aborts are passed through untouched and stop retrying', async () => {
+  const controller = new AbortController();
+  const fetchImpl = jest.fn(() => {
+    controller.abort();
+    return Promise.resolve(response(503, {}));
+  });
+  await expect(fetchJson('/events', { signal: controller.signal, fetchImpl, backoffMs: 50 }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('backoff doubles with jitter and user messages per kind', () => {
+  expect(backoffDelay(0, { random: () => 0.5 })).toBe(1000);
+  expect(backoffDelay(2, { random: () => 0.5 })).toBe(4000);
+  expect(backoffDelay(10, { random: () => 1 })).toBe(18750);
+  expect(describeError(new HttpError('/x', 503))).toMatch(/HTTP 503/);
+  expect(describeError(new Error('?'))).toMatch(/went wrong/);
+});
@@ -0,0 +1,89 @@
+// src/keyboardNav.js
+// Keyboard access to the globe: arrow-key movement through lists, and the pins in
+// view as an ordered set of tab stops (the canvas itself can't be tabbed through).
+
+const NEXT_KEYS = new Set(["ArrowDown", "ArrowRight"]);
+const PREV_KEYS = new Set(["ArrowUp", "ArrowLeft"]);
+
+/** Index to move to for a key in a list of `count` items (null if the key doesn't move). */
+export function nextIndex(key, index, count, { wrap = false } = {}) {
+  if (!count) return null;
+  const last = count - 1;
+  if (key === "Home") return 0;
+  if (key === "End") return last;
+  if (NEXT_KEYS.has(key)) return index >= last ? (wrap ? 0 : last) : index + 1;
+  if (PREV_KEYS.has(key)) return index <= 0 ? (wrap ? last : 0) : index - 1;
+  return null;
+}
+
+/** Screen points in reading order: rows `rowHeight` px tall top to bottom, left to right in a row. */
+export function readingOrder(points, { rowHeight = 48 } = {}) {
+  const row = (p) => Math.floor(p.y / rowHeight);
+  return points.slice().sort((a, b) => row(a) - row(b) || a.x - b.x);
+}
+
+/** What a screen reader says for a pin (article or event country). */
+export function pinLabel(entity) {
+  const a = entity?.articleData;
+  if (a) {
+    const where = [a.city, a.country].filter(Boolean).join(", ");
+    return `${a.title || "Untitled"} — ${a.source || "unknown source"}${where ? `, ${where}` : ""} (${a.sentiment || "neutral"})`;
+  }
+  const c = entity?.countryData;
+  if (c) return `${c.country}: ${c.count} articles (${c.avg_sentiment || "neutral"})`;
+  return null;
+}
+
+/** What a screen reader says for a cluster badge. */
+export function clusterLabel(entities) {
+  const countries = [...new Set(entities.map((e) => e?.articleData?.country).filter(Boolean))];
+  const where = countries.length > 3 ? `${countries.slice(0, 3).join(", ")} and more` : countries.join(", ");
+  return `Cluster of ${entities.length} articles${where ? `: ${where}` : ""}`;
+}
+
+/** True when two stop lists would render the same buttons (same keys, same pixel spots). */
+export function sameStops(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((p, i) => p.key === b[i].key && Math.round(p.x) === Math.round(b[i].x) && Math.round(p.y) === Math.round(b[i].y));
+}
+
+/**
+ * Tab stops over what is drawn on screen and facing the camera, in reading order and at
+ * most `max`: a `{ key, entity, x, y, label }` per pin (`key` is the entity id) and a
+ * `{ key, entities, x, y, label }` per cluster badge in `clusters` (`{ entities, position }`),
+ * whose members get no stop of their own. Hidden collections and entities, and pins not
+ * available at the clock's current time, are skipped.
+ */
+export function visiblePins(viewer, collections, { clusters = [], max = 60 } = {}) {
+  const Cesium = window.Cesium;
+  const { scene, camera } = viewer;
+  const canvas = scene.canvas;
+  const time = viewer.clock.currentTime;
+  const occluder = new Cesium.EllipsoidalOccluder(scene.globe.ellipsoid, camera.positionWC);
+  const onScreen = (position) => {
+    if (!position || !occluder.isPointVisible(position)) return null;
+    const win = Cesium.SceneTransforms.worldToWindowCoordinates(scene, position);
+    if (!win || win.x < 0 || win.y < 0 || win.x > canvas.clientWidth || win.y > canvas.clientHeight) return null;
+    return win;
+  };
+
+  const points = [];
+  const clustered = new Set();
+  for (const { entities, position } of clusters) {
+    for (const e of entities) clustered.add(e);
+    const win = onScreen(position);
+    if (!win || !entities.length) continue;
+    points.push({ key: `cluster:${entities[0].id}`, entities, x: win.x, y: win.y, label: clusterLabel(entities) });
+  }
+  for (const collection of collections) {
+    if (!collection || collection.show === false) continue;
+    for (const entity of collection.values) {
+      if (clustered.has(entity) || !entity.isShowing || !entity.isAvailable(time)) continue;
+      const label = pinLabel(entity);
+      const win = label && onScreen(entity.position?.getValue(time));
+      if (!win) continue;
+      points.push({ key: entity.id, entity, x: win.x, y: win.y, label });
+    }
+  }
+  return readingOrder(points).slice(0, max);
+}
@@ -0,0 +1,91 @@
+import { clusterLabel, nextIndex, pinLabel, readingOrder, sameStops, visiblePins } from './keyboardNav';
+
+test('arrow keys step through a list and stop at the ends', () => {
+  expect(nextIndex('ArrowDown', 0, 3)).toBe(1);
+  expect(nextIndex('ArrowRight', 1, 3)).toBe(2);
+  expect(nextIndex('ArrowDown', 2, 3)).toBe(2);
+  expect(nextIndex('ArrowUp', 0, 3)).toBe(0);
+  expect(nextIndex('Home', 2, 3)).toBe(0);
+  expect(nextIndex('End', 0, 3)).toBe(2);
+});
+
+test('wrap goes round, and other keys or empty lists do not move', () => {
+  expect(nextIndex('ArrowRight', 1, 2, { wrap: true })).toBe(0);
+  expect(nextIndex('ArrowLeft', 0, 2, { wrap: true })).toBe(1);
+  expect(nextIndex('Enter', 0, 3)).toBeNull();
+  expect(nextIndex('ArrowDown', 0, 0)).toBeNull();
+});
+
+test('pins are ordered top to bottom, then left to right within a row', () => {
+  const pts = [
+    { id: 'c', x: 300, y: 210 },
+    { id: 'b', x: 500, y: 20 },
+    { id: 'a', x: 100, y: 40 },
+    { id: 'd', x: 50, y: 220 },
+  ];
+  expect(readingOrder(pts).map((p) => p.id)).toEqual(['a', 'b', 'd', 'c']);
+});
+
+test('pin labels name the article or country', () => {
+  const article = { articleData: { title: 'Quake hits', source: 'NHK', city: 'Sendai', country: 'Japan', sentiment: 'negative' } };
+  expect(pinLabel(article)).toBe('Quake hits — NHK, Sendai, Japan (negative)');
+  expect(pinLabel({ countryData: { country: 'Chile', count: 4, avg_sentiment: 'positive' } })).toBe('Chile: 4 articles (positive)');
+  expect(pinLabel({})).toBeNull();
+});
+
+test('cluster labels give the size and up to three countries', () => {
+  const art = (country) => ({ articleData: { country } });
+  expect(clusterLabel([art('Japan'), art('Japan'), art('Chile')])).toBe('Cluster of 3 articles: Japan, Chile');
+  expect(clusterLabel([art('A'), art('B'), art('C'), art('D')])).toBe('Cluster of 4 articles: A, B, C and more');
+  expect(clusterLabel([{}, {}, {}])).toBe('Cluster of 3 articles');
+});
+
+test('stop lists compare by key and pixel position', () => {
+  const a = [{ key: 'x', x: 10.2, y: 20 }];
+  expect(sameStops(a, [{ key: 'x', x: 10.4, y: 20.1 }])).toBe(true);
+  expect(sameStops(a, [{ key: 'x', x: 12, y: 20 }])).toBe(false);
+  expect(sameStops(a, [{ key: 'y', x: 10, y: 20 }])).toBe(false);
+  expect(sameStops(a, [])).toBe(false);
+});
+
+// visiblePins against a stand-in Cesium: positions are plain screen points, all facing the camera
+beforeAll(() => {
+  window.Cesium = {
+    EllipsoidalOccluder: class {
+      isPointVisible() { return true; }
+    },
+    SceneTransforms: { worldToWindowCoordinates: (scene, p) => p },
+  };
+});
+afterAll(() => {
+  delete window.Cesium;
+});
+
+const viewer = {
+  scene: { canvas: { clientWidth: 800, clientHeight: 600 }, globe: {} },
+  camera: {},
+  clock: { currentTime: 0 },
+};
+const pin = (id, x, y, { available = true } = {}) => ({
+  id,
+  isShowing: true,
+  isAvailable: () => available,
+  position: { getValue: () => ({ x, y }) },
+  articleData: { title: id, source: 's', country: 'Japan' },
+});
+
+test('clustered members give way to their badge', () => {
+  const members = [pin('a', 100, 100), pin('b', 104, 100), pin('c', 108, 100)];
+  const loose = pin('d', 400, 300);
+  const stops = visiblePins(viewer, [{ values: [...members, loose] }], {
+    clusters: [{ entities: members, position: { x: 104, y: 100 } }],
+  });
+  expect(stops.map((p) => p.key)).toEqual(['cluster:a', 'd']);
+  expect(stops[0].entities).toBe(members);
+  expect(stops[0].label).toBe('Cluster of 3 articles: Japan');
+});
+
+test('pins not available at the current time or off screen get no stop', () => {
+  const stops = visiblePins(viewer, [{ values: [pin('a', 10, 10), pin('b', 20, 20, { available: false }), pin('c', 900, 20)] }]);
+  expect(stops.map((p) => p.key)).toEqual(['a']);
+});
@@ -0,0 +1,74 @@
+// src/liveMode.js
+// Live mode helpers: a visibility-aware poller (pauses while the tab is hidden, catches
+// up when it returns) and a short pulse animation for newly arrived pins.
+
+import { setScaleFactor } from "./pinScale";
+
+/**
+ * Call `poll()` every `intervalMs` (waiting for each run to settle before scheduling
+ * the next). While the page is hidden nothing runs; coming back triggers a poll if one is due.
+ * Returns `{ stop }`.
+ */
+export function createPoller(poll, { intervalMs, doc = document } = {}) {
+  let timer = null;
+  let stopped = false;
+  let lastRun = Date.now();
+
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    timer = null;
+    if (stopped || doc.hidden) return;
+    timer = setTimeout(run, Math.max(delay, 0));
+  };
+
+  function run() {
+    timer = null;
+    if (stopped || doc.hidden) return;
+    lastRun = Date.now();
+    Promise.resolve()
+      .then(poll)
+      .catch((err) => console.error("Live poll failed:", err))
+      .finally(() => schedule(intervalMs));
+  }
+
+  const onVisibility = () => {
+    if (doc.hidden) {
+      clearTimeout(timer);
+      timer = null;
+    } else if (!timer) {
+      schedule(lastRun + intervalMs - Date.now()); // overdue → runs right away
+    }
+  };
+
+  doc.addEventListener("visibilitychange", onVisibility);
+  schedule(intervalMs);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      doc.removeEventListener("visibilitychange", onVisibility);
+    },
+  };
+}
+
+/** Rows of `incoming` whose key isn't in `existing`. */
+export function newRows(existing, incoming, keyOf) {
+  const seen = new Set((existing || []).map(keyOf));
+  return (incoming || []).filter((row) => !seen.has(keyOf(row)));
+}
+
+/** Make billboards throb for `durationMs`, then settle back to their normal size. */
+export function pulseEntities(entities, { durationMs = 6000 } = {}) {
+  const started = performance.now();
+  const throb = () => {
+    const t = performance.now() - started;
+    return t >= durationMs ? 1 : 1 + 0.6 * Math.abs(Math.sin(t / 250));
+  };
+  const pulsed = (entities || []).filter((e) => e?.billboard);
+  for (const e of pulsed) setScaleFactor(e, "pulse", throb);
+
+  setTimeout(() => {
+    for (const e of pulsed) setScaleFactor(e, "pulse", null);
+  }, durationMs);
+}
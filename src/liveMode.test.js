@@ -0,0 +1,74 @@
+import { createPoller, newRows } from './liveMode';
+
+// Minimal document stand-in with a controllable visibility state
+function fakeDoc() {
+  const listeners = new Set();
+  return {
+    hidden: false,
+    addEventListener: (_, fn) => listeners.add(fn),
+    removeEventListener: (_, fn) => listeners.delete(fn),
+    setHidden(h) {
+      this.hidden = h;
+      listeners.forEach((fn) => fn());
+    },
+    get listenerCount() {
+      return listeners.size;
+    },
+  };
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+const tick = async (ms) => {
+  jest.advanceTimersByTime(ms);
+  for (let i = 0; i < 6; i++) await Promise.resolve(); // let poll → catch → finally settle
+};
+
+test('polls on the interval and stops cleanly', async () => {
+  const doc = fakeDoc();
+  const poll = jest.fn();
+  const poller = createPoller(poll, { intervalMs: 1000, doc });
+  await tick(999);
+  expect(poll).not.toHaveBeenCalled();
+  await tick(1);
+  await tick(1000);
+  expect(poll).toHaveBeenCalledTimes(2);
+
+  poller.stop();
+  await tick(5000);
+  expect(poll).toHaveBeenCalledTimes(2);
+  expect(doc.listenerCount).toBe(0);
+});
+
+test('pauses while hidden and catches up when visible again', async () => {
+  const doc = fakeDoc();
+  const poll = jest.fn();
+  const poller = createPoller(poll, { intervalMs: 1000, doc });
+  doc.setHidden(true);
+  await tick(10000);
+  expect(poll).not.toHaveBeenCalled();
+
+  doc.setHidden(false); // overdue → runs right away
+  await tick(0);
+  expect(poll).toHaveBeenCalledTimes(1);
+  poller.stop();
+});
+
+test('a failing poll does not end the loop', async () => {
+  const doc = fakeDoc();
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const poll = jest.fn().mockRejectedValueOnce(new Error('HTTP 503')).mockResolvedValue();
+  const poller = createPoller(poll, { intervalMs: 1000, doc });
+  await tick(1000);
+  await tick(1000);
+  expect(poll).toHaveBeenCalledTimes(2);
+  poller.stop();
+  spy.mockRestore();
+});
+
+test('newRows keeps only unseen keys', () => {
+  const key = (a) => a.id;
+  expect(newRows([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 3 }], key)).toEqual([{ id: 3 }]);
+  expect(newRows(null, [{ id: 1 }], key)).toEqual([{ id: 1 }]);
+});
@@ -0,0 +1,153 @@
+// src/metrics.js
+// Client metrics: events are queued and sent in batches (on a short timer, when a
+// batch fills up, and with sendBeacon when the page is hidden), tagged with a session
+// and build id. Sessions are sampled as a whole; users can opt out.
+
+const OPT_OUT_KEY = "newsglobe.metricsOptOut";
+const SESSION_KEY = "newsglobe.sessionId";
+const SAMPLED_KEY = "newsglobe.metricsSampled";
+
+const newId = () => `m_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+
+// Storage can throw (private mode, disabled cookies); metrics must never break the app
+function readKey(storage, key) {
+  try {
+    return storage?.getItem(key) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function writeKey(storage, key, value) {
+  try {
+    if (value == null) storage?.removeItem(key);
+    else storage?.setItem(key, value);
+  } catch {
+    /* not persisted; still applies for this page */
+  }
+}
+
+/** Session id kept for the tab's lifetime (sessionStorage), created on first use. */
+export function sessionIdFrom(storage) {
+  let id = readKey(storage, SESSION_KEY);
+  if (!id) {
+    id = newId();
+    writeKey(storage, SESSION_KEY, id);
+  }
+  return id;
+}
+
+/** Whether this session reports at all; decided once per session so its metrics stay comparable. */
+export function sessionSampled(storage, sampleRate, random = Math.random) {
+  const stored = readKey(storage, SAMPLED_KEY);
+  if (stored === "1" || stored === "0") return stored === "1";
+  const sampled = random() < sampleRate;
+  writeKey(storage, SAMPLED_KEY, sampled ? "1" : "0");
+  return sampled;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.endpoint          where batches are POSTed
+ * @param {string} [opts.build]           build id sent with every batch
+ * @param {number} [opts.sampleRate]      share of sessions that report (0..1)
+ * @param {number} [opts.flushDelayMs]    wait this long after the first queued metric
+ * @param {number} [opts.maxBatch]        send right away once this many are queued
+ * @param {number} [opts.maxQueue]        oldest metrics are dropped beyond this
+ * Returns `{ track, flush, setOptOut, isOptedOut, stop, sessionId }`.
+ */
+export function createMetrics({
+  endpoint,
+  build = "dev",
+  sampleRate = 1,
+  flushDelayMs = 5000,
+  maxBatch = 20,
+  maxQueue = 200,
+  win = window,
+  doc = document,
+  storage = win.localStorage,
+  session = win.sessionStorage,
+  random = Math.random,
+} = {}) {
+  const sessionId = sessionIdFrom(session);
+  const sampled = sessionSampled(session, sampleRate, random);
+  let optedOut = readKey(storage, OPT_OUT_KEY) === "1" || win.navigator?.doNotTrack === "1";
+  let queue = [];
+  let timer = null;
+
+  const enabled = () => !!endpoint && sampled && !optedOut;
+
+  const payload = (metrics) =>
+    JSON.stringify({ session_id: sessionId, build, sent_at: Date.now(), metrics: metrics.map(({ _retried, ...m }) => m) });
+
+  // sendBeacon survives the page going away; fetch+keepalive is the fallback
+  function send(batch, { beacon = false } = {}) {
+    const body = payload(batch);
+    if (beacon && win.navigator?.sendBeacon) {
+      // text/plain keeps the beacon a "simple" request (no CORS preflight)
+      const queued = win.navigator.sendBeacon(endpoint, new Blob([body], { type: "text/plain;charset=UTF-8" }));
+      if (queued) return Promise.resolve();
+    }
+    return win
+      .fetch(endpoint, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true })
+      .then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      });
+  }
+
+  function flush({ beacon = false } = {}) {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length || !enabled()) return Promise.resolve();
+    const batches = [];
+    while (queue.length) batches.push(queue.splice(0, maxBatch));
+    return Promise.all(
+      batches.map((batch) =>
+        send(batch, { beacon }).catch((err) => {
+          // One more try with the next flush; after that the batch is dropped
+          const retry = batch.filter((m) => !m._retried).map((m) => ({ ...m, _retried: true }));
+          if (retry.length) enqueue(retry);
+          console.warn(`Metrics: batch of ${batch.length} not sent (${err.message})`);
+        })
+      )
+    ).then(() => undefined);
+  }
+
+  function enqueue(items) {
+    queue = queue.concat(items).slice(-maxQueue);
+    if (queue.length >= maxBatch) flush();
+    else if (!timer) timer = setTimeout(flush, flushDelayMs);
+  }
+
+  const onHide = () => {
+    if (doc.visibilityState === "hidden") flush({ beacon: true });
+  };
+  const onPageHide = () => flush({ beacon: true });
+  doc.addEventListener("visibilitychange", onHide);
+  win.addEventListener("pagehide", onPageHide);
+
+  return {
+    sessionId,
+    /** Queue one metric (`{ name, ... }`); `ts` defaults to now. */
+    track(metric) {
+      if (!enabled() || !metric?.name) return;
+      enqueue([{ ts: Date.now(), ...metric }]);
+    },
+    flush,
+    isOptedOut: () => optedOut,
+    setOptOut(value) {
+      optedOut = !!value;
+      writeKey(storage, OPT_OUT_KEY, optedOut ? "1" : null);
+      if (optedOut) {
+        queue = [];
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+    stop() {
+      clearTimeout(timer);
+      doc.removeEventListener("visibilitychange", onHide);
+      win.removeEventListener("pagehide", onPageHide);
+    },
+  };
+}
@@ -0,0 +1,97 @@
+import { createMetrics, sessionSampled } from './metrics';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+};
+
+function setup(opts = {}) {
+  const doc = new EventTarget();
+  doc.visibilityState = 'visible';
+  const win = new EventTarget();
+  win.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+  win.navigator = { sendBeacon: jest.fn(() => true) };
+  const metrics = createMetrics({
+    endpoint: '/client-metric',
+    build: 'b1',
+    flushDelayMs: 1000,
+    maxBatch: 3,
+    win,
+    doc,
+    storage: memoryStorage(),
+    session: memoryStorage(),
+    ...opts,
+  });
+  const sent = () => win.fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+  return { metrics, win, doc, sent };
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('queues metrics and sends one batch after the delay', () => {
+  const { metrics, sent } = setup();
+  metrics.track({ name: 'a', count: 1 });
+  metrics.track({ name: 'b' });
+  expect(sent()).toEqual([]);
+
+  jest.advanceTimersByTime(1000);
+  const [batch] = sent();
+  expect(batch.session_id).toBe(metrics.sessionId);
+  expect(batch.build).toBe('b1');
+  expect(batch.metrics.map((m) => m.name)).toEqual(['a', 'b']);
+  expect(typeof batch.metrics[0].ts).toBe('number');
+});
+
+test('a full batch goes out right away', () => {
+  const { metrics, sent } = setup();
+  ['a', 'b', 'c'].forEach((name) => metrics.track({ name }));
+  expect(sent()).toHaveLength(1);
+});
+
+test('hiding the page flushes with sendBeacon', () => {
+  const { metrics, win, doc } = setup();
+  metrics.track({ name: 'a' });
+  doc.visibilityState = 'hidden';
+  doc.dispatchEvent(new Event('visibilitychange'));
+  expect(win.navigator.sendBeacon).toHaveBeenCalledTimes(1);
+  expect(win.navigator.sendBeacon.mock.calls[0][0]).toBe('/client-metric');
+  expect(win.fetch).not.toHaveBeenCalled();
+});
+
+test('opting out drops the queue and stops tracking', () => {
+  const { metrics, sent } = setup();
+  metrics.track({ name: 'a' });
+  metrics.setOptOut(true);
+  metrics.track({ name: 'b' });
+  jest.advanceTimersByTime(5000);
+  expect(sent()).toEqual([]);
+  expect(metrics.isOptedOut()).toBe(true);
+});
+
+test('sessions outside the sample send nothing, and the decision sticks', () => {
+  const session = memoryStorage();
+  expect(sessionSampled(session, 0.1, () => 0.5)).toBe(false);
+  expect(sessionSampled(session, 0.1, () => 0)).toBe(false);
+
+  const { metrics, sent } = setup({ sampleRate: 0 });
+  ['a', 'b', 'c'].forEach((name) => metrics.track({ name }));
+  expect(sent()).toEqual([]);
+});
+
+test('a failed batch is retried once with the next flush', async () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const { metrics, win, sent } = setup();
+  win.fetch.mockImplementation(() => Promise.resolve({ ok: false, status: 503 }));
+  metrics.track({ name: 'a' });
+  await metrics.flush();
+  await metrics.flush();
+  await metrics.flush();
+  expect(sent()).toHaveLength(2);
+  expect(sent()[1].metrics[0]).toEqual(expect.not.objectContaining({ _retried: true }));
+  warn.mockRestore();
+});
@@ -0,0 +1,36 @@
+// src/offline.js
+// Service worker registration and access to the last saved /events and /news
+// responses (written by public/service-worker.js) for when the backend is unreachable.
+
+const SNAPSHOT_CACHE = "snapshots"; // keep in sync with public/service-worker.js
+
+/** Register the service worker (production builds only; dev keeps hot reload simple). */
+export function registerServiceWorker() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((err) => console.error("Service worker registration failed:", err));
+  });
+}
+
+/**
+ * Last saved response for "events" or "news" as `{ data, savedAt, url }`, or null
+ * when there is none (or Cache Storage isn't available).
+ */
+export function readSnapshot(kind) {
+  if (typeof caches === "undefined") return Promise.resolve(null);
+  return caches
+    .open(SNAPSHOT_CACHE)
+    .then((cache) => cache.match(`/__snapshot__/${kind}`))
+    .then((res) =>
+      res
+        ? res.json().then((data) => ({
+            data,
+            savedAt: res.headers.get("X-Saved-At"),
+            url: res.headers.get("X-Snapshot-Url"),
+          }))
+        : null
+    )
+    .catch(() => null);
+}
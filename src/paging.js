@@ -0,0 +1,53 @@
+// src/paging.js
+// Reads the /news paging info (cursor- or page/total-style) and merges pages.
+
+const firstNumber = (...vals) => {
+  for (const v of vals) {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    if (typeof n === "number" && Number.isFinite(n)) return n;
+  }
+  return null;
+};
+
+/**
+ * Normalize whatever paging the backend sent into
+ * `{ total, page, pageSize, nextCursor, nextPage, hasMore }`.
+ * `page`/`pageSize` are what we asked for; `received` is the item count of this page.
+ */
+export function readPaging(data, { page = 1, pageSize, received = 0 } = {}) {
+  const meta = data?.paging || data?.pagination || {};
+
+  const total = firstNumber(data?.total, data?.total_count, data?.totalCount, meta.total, meta.total_count);
+  const curPage = firstNumber(data?.page, meta.page) ?? page;
+  const size = firstNumber(data?.page_size, data?.pageSize, meta.page_size, meta.pageSize) ?? pageSize;
+  const nextCursor =
+    data?.next_cursor ?? data?.nextCursor ?? meta.next_cursor ?? meta.nextCursor ?? meta.next ?? null;
+
+  let hasMore;
+  if (typeof (data?.has_more ?? meta.has_more) === "boolean") hasMore = data?.has_more ?? meta.has_more;
+  else if (nextCursor) hasMore = true;
+  else if (total != null && size) hasMore = curPage * size < total;
+  else hasMore = !!size && received >= size; // a full page with no totals → probably more
+
+  return {
+    total,
+    page: curPage,
+    pageSize: size,
+    nextCursor: hasMore ? nextCursor : null,
+    nextPage: hasMore ? curPage + 1 : null,
+    hasMore,
+  };
+}
+
+/** Append `incoming` rows to `existing`, skipping rows whose key is already present. */
+export function mergePages(existing, incoming, keyOf) {
+  const seen = new Set((existing || []).map(keyOf));
+  const out = (existing || []).slice();
+  for (const row of incoming || []) {
+    const k = keyOf(row);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(row);
+  }
+  return out;
+}
@@ -0,0 +1,25 @@
+import { readPaging, mergePages } from './paging';
+
+test('page/total style', () => {
+  expect(readPaging({ items: [], total: 3412 }, { page: 1, pageSize: 200, received: 200 }))
+    .toMatchObject({ total: 3412, hasMore: true, nextPage: 2 });
+  expect(readPaging({ total: 3412, page: 18 }, { pageSize: 200, received: 12 }))
+    .toMatchObject({ hasMore: false, nextPage: null });
+});
+
+test('cursor style and explicit has_more', () => {
+  expect(readPaging({ next_cursor: 'abc' }, { pageSize: 200, received: 200 }))
+    .toMatchObject({ nextCursor: 'abc', hasMore: true, total: null });
+  expect(readPaging({ paging: { next_cursor: 'abc' }, has_more: false }, { pageSize: 200 }))
+    .toMatchObject({ nextCursor: null, hasMore: false });
+});
+
+test('no paging info: a full page means there may be more', () => {
+  expect(readPaging({ items: [] }, { pageSize: 200, received: 200 }).hasMore).toBe(true);
+  expect(readPaging({ items: [] }, { pageSize: 200, received: 150 }).hasMore).toBe(false);
+});
+
+test('mergePages keeps existing rows and skips duplicates', () => {
+  const merged = mergePages([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 3 }], (r) => r.id);
+  expect(merged.map((r) => r.id)).toEqual([1, 2, 3]);
+});
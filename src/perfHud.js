@@ -0,0 +1,86 @@
+// src/perfHud.js
+// Data behind the developer performance overlay: a ring buffer of recent metrics
+// (the same ones sent to /client-metric), plus small readers/formatters for it.
+
+/** `?debug=1` in the page URL opens the overlay on load. */
+export const debugRequested = (search = window.location.search) => new URLSearchParams(search).get("debug") === "1";
+
+/**
+ * Keep the last `max` metrics. `subscribe(fn)` calls `fn(entries)` on every push and
+ * returns an unsubscribe function.
+ */
+export function createPerfLog({ max = 100 } = {}) {
+  let entries = [];
+  const listeners = new Set();
+  return {
+    push(metric) {
+      entries = [...entries.slice(-(max - 1)), { at: Date.now(), ...metric }];
+      listeners.forEach((fn) => fn(entries));
+    },
+    entries: () => entries,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+/** API path with ids collapsed, e.g. "/event/:id", for grouping request timings. */
+export function endpointOf(url) {
+  let path;
+  try {
+    path = new URL(url, "http://localhost").pathname;
+  } catch {
+    path = String(url).split("?")[0];
+  }
+  return path.replace(/\/event\/[^/]+$/, "/event/:id");
+}
+
+/** Newest first: the last `limit` request entries, and the latest entry per other metric name. */
+export function hudSections(entries, { limit = 8 } = {}) {
+  const requests = [];
+  const latest = new Map();
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const e = entries[i];
+    if (e.kind === "request") {
+      if (requests.length < limit) requests.push(e);
+    } else if (!latest.has(e.name)) {
+      latest.set(e.name, e);
+    }
+  }
+  return { requests, latest: [...latest.values()] };
+}
+
+export function formatBytes(n) {
+  if (n == null || !Number.isFinite(n)) return "—";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export const formatMs = (ms) => (ms == null || !Number.isFinite(ms) ? "—" : ms < 10 ? `${ms.toFixed(1)} ms` : `${Math.round(ms)} ms`);
+
+/** JS heap in use / limit (Chromium only; null elsewhere). */
+export function readMemory(perf = window.performance) {
+  const m = perf?.memory;
+  return m ? { used: m.usedJSHeapSize, limit: m.jsHeapSizeLimit } : null;
+}
+
+/**
+ * Count rendered frames and report frames-per-second once a second via `onFps`.
+ * Returns a stop function.
+ */
+export function trackFps(scene, onFps, { now = () => performance.now() } = {}) {
+  let frames = 0;
+  let since = now();
+  const remove = scene.postRender.addEventListener(() => {
+    frames++;
+    const t = now();
+    if (t - since >= 1000) {
+      onFps(Math.round((frames * 1000) / (t - since)));
+      frames = 0;
+      since = t;
+    }
+  });
+  return remove;
+}
@@ -0,0 +1,67 @@
+import { createPerfLog, debugRequested, endpointOf, hudSections, formatBytes, formatMs, trackFps } from './perfHud';
+
+test('debug flag comes from ?debug=1', () => {
+  expect(debugRequested('?debug=1&q=x')).toBe(true);
+  expect(debugRequested('?debug=0')).toBe(false);
+  expect(debugRequested('')).toBe(false);
+});
+
+test('perf log keeps the newest entries and notifies subscribers', () => {
+  const log = createPerfLog({ max: 2 });
+  const seen = jest.fn();
+  const unsubscribe = log.subscribe(seen);
+  log.push({ name: 'a' });
+  log.push({ name: 'b' });
+  log.push({ name: 'c' });
+  expect(log.entries().map((e) => e.name)).toEqual(['b', 'c']);
+  expect(seen).toHaveBeenCalledTimes(3);
+  unsubscribe();
+  log.push({ name: 'd' });
+  expect(seen).toHaveBeenCalledTimes(3);
+});
+
+test('endpoints collapse event ids and drop the query', () => {
+  expect(endpointOf('https://api.example.com/news?page=2')).toBe('/news');
+  expect(endpointOf('/event/abc123?cache_key=k')).toBe('/event/:id');
+});
+
+test('sections: recent requests and latest entry per metric, newest first', () => {
+  const entries = [
+    { name: 'GET /events', kind: 'request', duration_ms: 100 },
+    { name: 'Draw', duration_ms: 5 },
+    { name: 'GET /news', kind: 'request', duration_ms: 200 },
+    { name: 'Draw', duration_ms: 7 },
+  ];
+  const { requests, latest } = hudSections(entries, { limit: 1 });
+  expect(requests.map((r) => r.name)).toEqual(['GET /news']);
+  expect(latest).toEqual([{ name: 'Draw', duration_ms: 7 }]);
+});
+
+test('formats sizes and durations', () => {
+  expect(formatBytes(null)).toBe('—');
+  expect(formatBytes(2048)).toBe('2.0 KB');
+  expect(formatMs(3.14)).toBe('3.1 ms');
+  expect(formatMs(123.6)).toBe('124 ms');
+});
+
+test('fps is reported once per second of frames', () => {
+  let t = 0;
+  let listener;
+  const scene = {
+    postRender: {
+      addEventListener(fn) {
+        listener = fn;
+        return () => (listener = null);
+      },
+    },
+  };
+  const onFps = jest.fn();
+  const stop = trackFps(scene, onFps, { now: () => t });
+  for (let i = 0; i < 30; i++) {
+    t += 1000 / 30;
+    listener();
+  }
+  expect(onFps).toHaveBeenCalledWith(30);
+  stop();
+  expect(listener).toBeNull();
+});
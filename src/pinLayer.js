@@ -0,0 +1,90 @@
+// src/pinLayer.js
+// Keyed pin layer over a Cesium EntityCollection: diffs new rows against the live
+// entities and only adds/removes/updates what changed (no removeAll → no flicker).
+
+const defaultSignature = (row) => JSON.stringify(row);
+
+/**
+ * @param {Cesium.EntityCollection} collection  where the entities live
+ * @param {object} opts
+ * @param {(row) => string|number|null} opts.key  stable identity per row (null → skipped)
+ * @param {(row) => string} [opts.signature]     change detector; defaults to the row's JSON
+ */
+export function createPinLayer(collection, { key, signature = defaultSignature }) {
+  const live = new Map(); // key -> { entity, sig, props }
+
+  /**
+   * Make the collection mirror `rows`. `build(row)` returns the entity options
+   * (or null to drop the row); it is only called for new or changed rows.
+   * `salt` folds extra render inputs (e.g. UI state used by `build`) into the signature.
+   */
+  function sync(rows, build, { salt = "" } = {}) {
+    const stats = { added: 0, updated: 0, removed: 0, unchanged: 0, total: 0 };
+    const seen = new Set();
+
+    collection.suspendEvents();
+    try {
+      for (const row of rows || []) {
+        const k = row ? key(row) : null;
+        if (k == null || seen.has(k)) continue;
+
+        const sig = `${salt}|${signature(row)}`;
+        const cur = live.get(k);
+        if (cur && cur.sig === sig) {
+          seen.add(k);
+          stats.unchanged++;
+          continue;
+        }
+
+        const spec = build(row);
+        if (!spec) continue; // not drawable (e.g. no coords) → removed below if it was live
+        seen.add(k);
+
+        const props = Object.keys(spec);
+        if (cur) {
+          for (const [prop, value] of Object.entries(spec)) cur.entity[prop] = value;
+          // Graphics/data the new spec no longer has (a label, a description…) are cleared
+          for (const prop of cur.props) if (!(prop in spec) && prop !== "id") cur.entity[prop] = undefined;
+          Object.assign(cur, { sig, props });
+          stats.updated++;
+        } else {
+          live.set(k, { entity: collection.add(spec), sig, props });
+          stats.added++;
+        }
+      }
+
+      for (const [k, cur] of live) {
+        if (seen.has(k)) continue;
+        collection.remove(cur.entity);
+        live.delete(k);
+        stats.removed++;
+      }
+    } finally {
+      collection.resumeEvents();
+    }
+
+    stats.total = live.size;
+    return stats;
+  }
+
+  function clear() {
+    if (!live.size) return;
+    collection.suspendEvents();
+    try {
+      for (const { entity } of live.values()) collection.remove(entity);
+    } finally {
+      collection.resumeEvents();
+    }
+    live.clear();
+  }
+
+  return {
+    sync,
+    clear,
+    /** Live entity for a row key (or undefined). */
+    entityFor: (k) => live.get(k)?.entity,
+    get size() {
+      return live.size;
+    },
+  };
+}
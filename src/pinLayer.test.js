@@ -0,0 +1,59 @@
+import { createPinLayer } from './pinLayer';
+
+function fakeCollection() {
+  const entities = new Set();
+  return {
+    entities,
+    add: jest.fn((spec) => { const e = { ...spec }; entities.add(e); return e; }),
+    remove: jest.fn((e) => entities.delete(e)),
+    suspendEvents: jest.fn(),
+    resumeEvents: jest.fn(),
+  };
+}
+
+const build = (row) => (row.lat == null ? null : { name: row.title, lat: row.lat });
+
+test('only adds, updates and removes what changed', () => {
+  const col = fakeCollection();
+  const layer = createPinLayer(col, { key: (r) => r.id });
+
+  expect(layer.sync([{ id: 1, title: 'a', lat: 1 }, { id: 2, title: 'b', lat: 2 }], build))
+    .toMatchObject({ added: 2, updated: 0, removed: 0, total: 2 });
+
+  const first = layer.entityFor(1);
+  expect(layer.sync([{ id: 1, title: 'a', lat: 1 }, { id: 2, title: 'b', lat: 2 }], build))
+    .toMatchObject({ added: 0, unchanged: 2, total: 2 });
+
+  expect(layer.sync([{ id: 1, title: 'a2', lat: 1 }, { id: 3, title: 'c', lat: 3 }], build))
+    .toMatchObject({ added: 1, updated: 1, removed: 1, total: 2 });
+  expect(layer.entityFor(1)).toBe(first);
+  expect(first.name).toBe('a2');
+  expect(col.add).toHaveBeenCalledTimes(3);
+});
+
+test('drops undrawable rows and re-renders when the salt changes', () => {
+  const col = fakeCollection();
+  const layer = createPinLayer(col, { key: (r) => r.id });
+  layer.sync([{ id: 1, title: 'a', lat: 1 }], build);
+  expect(layer.sync([{ id: 1, title: 'a', lat: null }], build)).toMatchObject({ removed: 1, total: 0 });
+
+  layer.sync([{ id: 1, title: 'a', lat: 1 }], build, { salt: 'x' });
+  expect(layer.sync([{ id: 1, title: 'a', lat: 1 }], build, { salt: 'y' })).toMatchObject({ updated: 1 });
+
+  layer.clear();
+  expect(layer.size).toBe(0);
+  expect(col.entities.size).toBe(0);
+});
+
+test('an update clears properties the new spec leaves out', () => {
+  const col = fakeCollection();
+  const layer = createPinLayer(col, { key: (r) => r.id });
+  const withLabel = (row) => (row.label ? { name: row.title, label: { text: row.label }, description: 'd' } : { name: row.title });
+
+  layer.sync([{ id: 1, title: 'a', label: 'A' }], withLabel);
+  const entity = layer.entityFor(1);
+  expect(entity.label).toEqual({ text: 'A' });
+
+  expect(layer.sync([{ id: 1, title: 'a2' }], withLabel)).toMatchObject({ updated: 1 });
+  expect(entity).toMatchObject({ name: 'a2', label: undefined, description: undefined });
+});
@@ -0,0 +1,39 @@
+// src/pinScale.js
+// A pin's billboard scale as its own size times named factors (live pulse, list/keyboard
+// highlight), so effects on the same pin neither end nor bake in each other's scaling.
+
+const scaled = new WeakMap(); // entity -> { base, prop, factors: Map(name -> number | () => number) }
+
+/**
+ * Set one named scale factor on an entity's billboard: a number, or a function read every
+ * frame. `null` removes it; with no factors left the billboard gets its own scale back.
+ */
+export function setScaleFactor(entity, name, factor) {
+  const billboard = entity?.billboard;
+  if (!billboard) return;
+  const Cesium = window.Cesium;
+
+  let state = scaled.get(entity);
+  // Graphics replaced by a pin update since: start over from the new scale
+  if (state && billboard.scale !== state.prop) state = null;
+  if (!state) {
+    if (factor == null) return;
+    const base = billboard.scale?.getValue?.(Cesium.JulianDate.now()) ?? 1;
+    const factors = new Map();
+    const prop = new Cesium.CallbackProperty(() => {
+      let scale = base;
+      for (const f of factors.values()) scale *= typeof f === "function" ? f() : f;
+      return scale;
+    }, false);
+    state = { base, prop, factors };
+    scaled.set(entity, state);
+    billboard.scale = prop;
+  }
+
+  if (factor == null) state.factors.delete(name);
+  else state.factors.set(name, factor);
+  if (!state.factors.size) {
+    scaled.delete(entity);
+    billboard.scale = state.base;
+  }
+}
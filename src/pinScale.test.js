@@ -0,0 +1,72 @@
+import { setScaleFactor } from './pinScale';
+import { pulseEntities } from './liveMode';
+
+// Stand-in Cesium: a callback property is just its getValue
+beforeAll(() => {
+  window.Cesium = {
+    JulianDate: { now: () => 0 },
+    CallbackProperty: class {
+      constructor(fn) {
+        this.getValue = fn;
+      }
+    },
+  };
+});
+afterAll(() => {
+  delete window.Cesium;
+});
+
+let now = 0;
+beforeEach(() => {
+  jest.useFakeTimers();
+  now = 0;
+  jest.spyOn(performance, 'now').mockImplementation(() => now);
+});
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const pin = (scale) => ({ billboard: { scale } });
+const scaleOf = (e) => (typeof e.billboard.scale === 'number' ? e.billboard.scale : e.billboard.scale.getValue());
+
+test('factors multiply the pin size and removing the last one restores it', () => {
+  const e = pin({ getValue: () => 1.5 });
+  setScaleFactor(e, 'highlight', 2);
+  setScaleFactor(e, 'other', 0.5);
+  expect(scaleOf(e)).toBe(1.5);
+  setScaleFactor(e, 'other', null);
+  expect(scaleOf(e)).toBe(3);
+  setScaleFactor(e, 'highlight', null);
+  expect(e.billboard.scale).toBe(1.5);
+});
+
+test('a pulsed pin can be highlighted and let go without either effect losing the other', () => {
+  const e = pin(undefined);
+  pulseEntities([e], { durationMs: 1000 });
+  now = 125; // mid-throb
+  const pulsing = scaleOf(e);
+  expect(pulsing).toBeGreaterThan(1);
+
+  setScaleFactor(e, 'highlight', 1.8);
+  expect(scaleOf(e)).toBeCloseTo(pulsing * 1.8);
+  setScaleFactor(e, 'highlight', null);
+  expect(scaleOf(e)).toBeCloseTo(pulsing); // still pulsing
+
+  setScaleFactor(e, 'highlight', 1.8);
+  now = 1000;
+  jest.advanceTimersByTime(1000); // pulse ends while highlighted
+  expect(scaleOf(e)).toBe(1.8);
+  setScaleFactor(e, 'highlight', null);
+  expect(e.billboard.scale).toBe(1);
+});
+
+test('a pulse started on a highlighted pin settles back to its own size', () => {
+  const e = pin(undefined);
+  setScaleFactor(e, 'highlight', 1.8);
+  pulseEntities([e], { durationMs: 1000 });
+  setScaleFactor(e, 'highlight', null);
+  now = 1000;
+  jest.advanceTimersByTime(1000);
+  expect(e.billboard.scale).toBe(1);
+});
@@ -0,0 +1,135 @@
+// src/playback.js
+// Timeline playback: drives the Cesium clock over the selected date range and gives
+// each article pin an availability interval from its publish time, fading in then aging out.
+
+import { parseTimestamp } from "./dates";
+
+// Clock multipliers (simulated seconds per real second)
+export const PLAYBACK_SPEEDS = [
+  { label: "1 min/s", value: 60 },
+  { label: "10 min/s", value: 600 },
+  { label: "1 h/s", value: 3600 },
+  { label: "6 h/s", value: 21600 },
+  { label: "1 day/s", value: 86400 },
+];
+
+const MIN_ALPHA = 0.35;   // how far an old pin fades
+const TARGET_SECONDS = 30; // default speed plays the whole range in roughly this long
+
+// ---------- Range ----------
+/**
+ * Playback window as `{ start, stop }` Dates: the date filter when set,
+ * otherwise the span of the articles' publish times. Null when there is nothing to play.
+ */
+export function playbackRange(publishedValues, { dateStart, dateEnd } = {}) {
+  const times = publishedValues.map(parseTimestamp).filter(Boolean).map((d) => d.getTime());
+  const start = dateStart ? new Date(dateStart) : times.length ? new Date(Math.min(...times)) : null;
+  const stop = dateEnd ? new Date(dateEnd) : times.length ? new Date(Math.max(...times)) : null;
+  if (!start || !stop || Number.isNaN(start.getTime()) || Number.isNaN(stop.getTime())) return null;
+  if (stop <= start) return { start, stop: new Date(start.getTime() + 3600 * 1000) };
+  return { start, stop };
+}
+
+/** Slowest preset that still plays `range` in about TARGET_SECONDS. */
+export function defaultSpeed(range) {
+  const spanSec = (range.stop - range.start) / 1000;
+  const wanted = spanSec / TARGET_SECONDS;
+  const fit = PLAYBACK_SPEEDS.find((s) => s.value >= wanted);
+  return (fit || PLAYBACK_SPEEDS[PLAYBACK_SPEEDS.length - 1]).value;
+}
+
+// ---------- Clock ----------
+/** Point the viewer clock at `range` (looping) without starting it. */
+export function configureClock(viewer, range, multiplier) {
+  const Cesium = window.Cesium;
+  const clock = viewer.clock;
+  clock.startTime = Cesium.JulianDate.fromDate(range.start);
+  clock.stopTime = Cesium.JulianDate.fromDate(range.stop);
+  if (
+    Cesium.JulianDate.lessThan(clock.currentTime, clock.startTime) ||
+    Cesium.JulianDate.greaterThan(clock.currentTime, clock.stopTime)
+  ) {
+    clock.currentTime = clock.startTime.clone();
+  }
+  clock.clockRange = Cesium.ClockRange.LOOP_STOP;
+  clock.clockStep = Cesium.ClockStep.SYSTEM_CLOCK_MULTIPLIER;
+  clock.multiplier = multiplier;
+}
+
+/** Give the clock back to "now" and stop animating. */
+export function resetClock(viewer) {
+  const Cesium = window.Cesium;
+  const clock = viewer.clock;
+  clock.shouldAnimate = false;
+  clock.clockRange = Cesium.ClockRange.UNBOUNDED;
+  clock.multiplier = 1;
+  clock.currentTime = Cesium.JulianDate.now();
+}
+
+/**
+ * Mount a Cesium Timeline widget into `container`, scrubbing the viewer clock.
+ * Returns `{ timeline, destroy }`.
+ */
+export function mountTimeline(container, viewer) {
+  const Cesium = window.Cesium;
+  const clock = viewer.clock;
+  const timeline = new Cesium.Timeline(container, clock);
+  timeline.zoomTo(clock.startTime, clock.stopTime);
+
+  const onScrub = (e) => {
+    clock.currentTime = e.timeJulian;
+    clock.shouldAnimate = false;
+  };
+  const onResize = () => timeline.resize();
+  timeline.addEventListener("settime", onScrub, false);
+  window.addEventListener("resize", onResize);
+
+  const destroy = () => {
+    window.removeEventListener("resize", onResize);
+    timeline.removeEventListener("settime", onScrub, false);
+    if (!timeline.isDestroyed()) timeline.destroy();
+  };
+  return { timeline, destroy };
+}
+
+// ---------- Entities ----------
+/**
+ * Show each article entity from its publish time to the end of the range, with
+ * a short fade-in and a slow fade toward MIN_ALPHA. Entities without a publish
+ * time stay visible throughout.
+ */
+export function applyPlayback(entities, range) {
+  const Cesium = window.Cesium;
+  const stop = Cesium.JulianDate.fromDate(range.stop);
+  const spanSec = Math.max((range.stop - range.start) / 1000, 1);
+  const fadeIn = spanSec * 0.02;
+  const ageOut = spanSec * 0.25;
+
+  for (const e of entities) {
+    const pub = parseTimestamp(e.articleData?.published);
+    if (!pub || !e.billboard) continue;
+    const from = Cesium.JulianDate.fromDate(pub);
+
+    e.availability = new Cesium.TimeIntervalCollection([
+      new Cesium.TimeInterval({ start: from, stop: Cesium.JulianDate.greaterThan(from, stop) ? from : stop }),
+    ]);
+
+    const color = new Cesium.Color(1, 1, 1, 1);
+    e.billboard.color = new Cesium.CallbackProperty((time) => {
+      const age = Cesium.JulianDate.secondsDifference(time, from);
+      let alpha = 1;
+      if (age < fadeIn) alpha = Math.max(age / fadeIn, 0.05);
+      else alpha = Math.max(1 - ((age - fadeIn) / ageOut) * (1 - MIN_ALPHA), MIN_ALPHA);
+      color.alpha = alpha;
+      return color;
+    }, false);
+  }
+}
+
+/** Undo `applyPlayback` so pins are always visible again. */
+export function clearPlayback(entities) {
+  for (const e of entities) {
+    e.availability = undefined;
+    if (e.billboard) e.billboard.color = undefined;
+  }
+}
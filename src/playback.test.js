@@ -0,0 +1,26 @@
+import { playbackRange, defaultSpeed } from './playback';
+
+test('range spans the publish times unless the date filter is set', () => {
+  const pub = ['2024-03-02T10:00:00Z', 1709460000, null, 'not a date', '2024-03-01T08:00:00Z'];
+  const r = playbackRange(pub);
+  expect(r.start.toISOString()).toBe('2024-03-01T08:00:00.000Z');
+  expect(r.stop.toISOString()).toBe('2024-03-03T10:00:00.000Z');
+
+  const f = playbackRange(pub, { dateStart: '2024-02-01T00:00:00Z', dateEnd: '2024-02-08T00:00:00Z' });
+  expect(f.start.toISOString()).toBe('2024-02-01T00:00:00.000Z');
+  expect(f.stop.toISOString()).toBe('2024-02-08T00:00:00.000Z');
+});
+
+test('nothing to play, and a single instant gets a one-hour window', () => {
+  expect(playbackRange([])).toBeNull();
+  expect(playbackRange([null, 'x'])).toBeNull();
+  const r = playbackRange(['2024-03-01T08:00:00Z']);
+  expect(r.stop - r.start).toBe(3600 * 1000);
+});
+
+test('default speed plays the range in about half a minute', () => {
+  const day = { start: new Date(0), stop: new Date(86400 * 1000) };
+  expect(defaultSpeed(day)).toBe(3600);
+  const year = { start: new Date(0), stop: new Date(365 * 86400 * 1000) };
+  expect(defaultSpeed(year)).toBe(86400);
+});
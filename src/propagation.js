@@ -0,0 +1,140 @@
+// src/propagation.js
+// Event spread: orders an event's countries by when they first reported it and draws
+// animated arcs from the first reporter to each later one, in that order.
+
+import { countryName } from "./countries";
+import { parseTimestamp, publishedOf } from "./dates";
+
+const LAYER_NAME = "propagation";
+const ARC_SAMPLES = 48;
+const GROW_MS = 900;     // time for one arc to reach its target
+const STAGGER_MS = 450;  // delay between consecutive arcs
+const ARC_COLOR = "#7c3aed";
+
+// ---------- Ordering ----------
+/**
+ * Earliest publish time (ms) a country row knows about: an explicit first-seen field
+ * when the backend sends one, otherwise the earliest of its sample articles.
+ */
+export function firstReportedAt(row) {
+  const explicit =
+    row.first_published_at ??
+    row.first_published ??
+    row.earliest_published_at ??
+    row.first_seen_at ??
+    row.first_seen;
+  const d = parseTimestamp(explicit);
+  if (d) return d.getTime();
+
+  let min = null;
+  for (const s of row.samples || []) {
+    const t = parseTimestamp(publishedOf(s))?.getTime();
+    if (t != null && (min == null || t < min)) min = t;
+  }
+  return min;
+}
+
+/**
+ * Countries with coordinates and a known first report, earliest first
+ * (ties: more articles first). Each item is `{ row, at }`.
+ */
+export function propagationOrder(countryRows) {
+  return (countryRows || [])
+    .filter((row) => Number.isFinite(row.lat) && Number.isFinite(row.lon))
+    .map((row) => ({ row, at: firstReportedAt(row) }))
+    .filter((x) => x.at != null)
+    .sort((a, b) => a.at - b.at || (Number(b.row.count) || 0) - (Number(a.row.count) || 0));
+}
+
+/**
+ * Legs from the first reporter to every later country, in pick-up order:
+ * `{ origin, legs: [{ from, to, at, delayMs }] }` (rows), or null with fewer than two countries.
+ */
+export function propagationLegs(countryRows) {
+  const order = propagationOrder(countryRows);
+  if (order.length < 2) return null;
+  const [first, ...rest] = order;
+  return {
+    origin: first.row,
+    legs: rest.map(({ row, at }) => ({ from: first.row, to: row, at, delayMs: at - first.at })),
+  };
+}
+
+/** "+45 min", "+6 h", "+2 d" */
+export function formatDelay(ms) {
+  const min = Math.round(ms / 60000);
+  if (min < 60) return `+${min} min`;
+  const h = Math.round(min / 60);
+  if (h < 48) return `+${h} h`;
+  return `+${Math.round(h / 24)} d`;
+}
+
+// ---------- Drawing ----------
+function getLayer(viewer) {
+  const existing = viewer.dataSources.getByName(LAYER_NAME)[0];
+  if (existing) return existing;
+  const ds = new window.Cesium.CustomDataSource(LAYER_NAME);
+  viewer.dataSources.add(ds);
+  return ds;
+}
+
+// Great-circle points lifted into an arc (higher for longer legs)
+function arcPositions(from, to) {
+  const Cesium = window.Cesium;
+  const a = Cesium.Cartographic.fromDegrees(from.lon, from.lat);
+  const b = Cesium.Cartographic.fromDegrees(to.lon, to.lat);
+  const geodesic = new Cesium.EllipsoidGeodesic(a, b);
+  const peak = Math.min(geodesic.surfaceDistance * 0.15, 1.5e6);
+
+  const out = [];
+  for (let i = 0; i <= ARC_SAMPLES; i++) {
+    const t = i / ARC_SAMPLES;
+    const p = geodesic.interpolateUsingFraction(t);
+    out.push(Cesium.Cartesian3.fromRadians(p.longitude, p.latitude, 20000 + Math.sin(Math.PI * t) * peak));
+  }
+  return out;
+}
+
+/**
+ * Draw the spread of an event as arcs that grow one after another.
+ * Returns the `propagationLegs` result (null when there is nothing to draw).
+ */
+export function drawPropagation(viewer, countryRows) {
+  const Cesium = window.Cesium;
+  const ds = getLayer(viewer);
+  ds.entities.removeAll();
+
+  const spread = propagationLegs(countryRows);
+  if (!spread) return null;
+
+  const started = performance.now();
+  const color = Cesium.Color.fromCssColorString(ARC_COLOR);
+
+  ds.entities.suspendEvents();
+  spread.legs.forEach((leg, i) => {
+    const full = arcPositions(leg.from, leg.to);
+    const progress = () => Math.min(Math.max((performance.now() - started - i * STAGGER_MS) / GROW_MS, 0), 1);
+
+    ds.entities.add({
+      name: `${countryName(leg.from.country)} → ${countryName(leg.to.country)} (${formatDelay(leg.delayMs)})`,
+      polyline: {
+        positions: new Cesium.CallbackProperty(() => {
+          const n = Math.max(2, Math.ceil(progress() * full.length));
+          return n >= full.length ? full : full.slice(0, n);
+        }, false),
+        show: new Cesium.CallbackProperty(() => progress() > 0, false),
+        width: 8,
+        arcType: Cesium.ArcType.NONE,
+        material: new Cesium.PolylineArrowMaterialProperty(color.withAlpha(0.85)),
+      },
+    });
+  });
+  ds.entities.resumeEvents();
+
+  return spread;
+}
+
+/** Remove all propagation arcs. */
+export function clearPropagation(viewer) {
+  viewer.dataSources.getByName(LAYER_NAME)[0]?.entities.removeAll();
+}
@@ -0,0 +1,41 @@
+import { firstReportedAt, propagationOrder, propagationLegs, formatDelay } from './propagation';
+
+const row = (country, extra) => ({ country, lat: 1, lon: 2, count: 1, ...extra });
+
+test('first report comes from an explicit field, else the earliest sample', () => {
+  expect(firstReportedAt({ first_published_at: '2024-05-01T10:00:00Z' })).toBe(Date.parse('2024-05-01T10:00:00Z'));
+  expect(firstReportedAt({
+    samples: [{ published_at: '2024-05-01T12:00:00Z' }, { pubDate: '2024-05-01T09:00:00Z' }, { title: 'no date' }],
+  })).toBe(Date.parse('2024-05-01T09:00:00Z'));
+  expect(firstReportedAt({ samples: [] })).toBeNull();
+});
+
+test('order skips untimed/unplaced countries and breaks ties by volume', () => {
+  const order = propagationOrder([
+    row('FR', { first_seen: '2024-05-01T12:00:00Z' }),
+    row('DE', { first_seen: '2024-05-01T08:00:00Z' }),
+    row('IT', { first_seen: '2024-05-01T12:00:00Z', count: 5 }),
+    row('ES'),
+    { country: 'PT', first_seen: '2024-05-01T07:00:00Z' },
+  ]);
+  expect(order.map((x) => x.row.country)).toEqual(['DE', 'IT', 'FR']);
+});
+
+test('legs fan out from the first reporter', () => {
+  const spread = propagationLegs([
+    row('GB', { first_seen: '2024-05-01T11:30:00Z' }),
+    row('US', { first_seen: '2024-05-01T10:00:00Z' }),
+    row('JP', { first_seen: '2024-05-02T10:00:00Z' }),
+  ]);
+  expect(spread.origin.country).toBe('US');
+  expect(spread.legs.map((l) => [l.from.country, l.to.country, formatDelay(l.delayMs)])).toEqual([
+    ['US', 'GB', '+2 h'],
+    ['US', 'JP', '+24 h'],
+  ]);
+  expect(propagationLegs([row('US', { first_seen: '2024-05-01T10:00:00Z' })])).toBeNull();
+});
+
+test('delays read in minutes, hours, then days', () => {
+  expect(formatDelay(20 * 60000)).toBe('+20 min');
+  expect(formatDelay(3 * 86400000)).toBe('+3 d');
+});
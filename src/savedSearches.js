@@ -0,0 +1,126 @@
+// src/savedSearches.js
+// Named filter sets kept in localStorage, with JSON import/export so a team can
+// share one set. Lists are plain arrays of `{ id, name, filters, savedAt }`.
+
+import { presetFor } from "./dateRange";
+
+const STORAGE_KEY = "newsglobe.savedSearches";
+const EXPORT_VERSION = 1;
+
+// Filter fields a saved search captures, with the value used when one is missing
+export const FILTER_DEFAULTS = {
+  q: "",
+  category: "",
+  language: "",
+  datePreset: "", // rolling window id; "custom" uses dateStart/dateEnd
+  dateStart: "",
+  dateEnd: "",
+  doTranslate: false,
+  translateTo: "en",
+  minCountries: 2,
+  minArticles: 2,
+};
+
+const posInt = (v, fallback) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+/** Keep only known filter fields, coerced to the types the filter panel uses. */
+export function normalizeFilters(raw) {
+  const f = raw && typeof raw === "object" ? raw : {};
+  const str = (k) => (typeof f[k] === "string" ? f[k] : FILTER_DEFAULTS[k]);
+  return {
+    q: str("q"),
+    category: str("category"),
+    language: str("language"),
+    datePreset: presetFor(f), // older exports only had absolute dates
+    dateStart: str("dateStart"),
+    dateEnd: str("dateEnd"),
+    doTranslate: f.doTranslate === true,
+    translateTo: str("translateTo") || FILTER_DEFAULTS.translateTo,
+    minCountries: posInt(f.minCountries, FILTER_DEFAULTS.minCountries),
+    minArticles: posInt(f.minArticles, FILTER_DEFAULTS.minArticles),
+  };
+}
+
+function normalizeEntry(raw) {
+  const name = typeof raw?.name === "string" ? raw.name.trim() : "";
+  if (!name) return null;
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : newId(),
+    name,
+    filters: normalizeFilters(raw.filters),
+    savedAt: typeof raw.savedAt === "string" ? raw.savedAt : new Date().toISOString(),
+  };
+}
+
+const newId = () => `s_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// ---------- Storage ----------
+/** Saved searches from localStorage (empty list when missing or unreadable). */
+export function loadSavedSearches(storage = window.localStorage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.map(normalizeEntry).filter(Boolean).sort(byName) : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Write the list back (quota/private-mode failures are logged, not thrown). */
+export function persistSavedSearches(list, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    console.error("Could not store saved searches:", err);
+  }
+}
+
+// ---------- Editing (pure: return a new list) ----------
+/** Add `filters` under `name`, replacing an existing search with the same name. */
+export function upsertSearch(list, name, filters) {
+  const entry = normalizeEntry({ name, filters, savedAt: new Date().toISOString() });
+  if (!entry) return list;
+  const existing = list.find((s) => sameName(s.name, entry.name));
+  if (existing) entry.id = existing.id;
+  return [...list.filter((s) => s !== existing), entry].sort(byName);
+}
+
+export function removeSearch(list, id) {
+  return list.filter((s) => s.id !== id);
+}
+
+/** Merge imported searches in; on a name clash the imported one wins. */
+export function mergeSearches(list, incoming) {
+  return incoming.reduce((acc, s) => upsertSearch(acc, s.name, s.filters), list);
+}
+
+// ---------- Import / export ----------
+export function exportSearches(list) {
+  return JSON.stringify(
+    { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), searches: list.map(({ name, filters }) => ({ name, filters })) },
+    null,
+    2
+  );
+}
+
+/** Parse an export (or a bare array of searches). Throws an Error with a readable message. */
+export function parseImportedSearches(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON.");
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed?.searches;
+  if (!Array.isArray(rows)) throw new Error("No saved searches found in this file.");
+  if (!Array.isArray(parsed) && parsed.version > EXPORT_VERSION) {
+    throw new Error("This file was exported by a newer version of the app.");
+  }
+  const entries = rows.map(normalizeEntry).filter(Boolean);
+  if (!entries.length) throw new Error("No saved searches found in this file.");
+  return entries;
+}
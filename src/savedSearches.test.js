@@ -0,0 +1,62 @@
+import {
+  FILTER_DEFAULTS,
+  normalizeFilters,
+  loadSavedSearches,
+  persistSavedSearches,
+  upsertSearch,
+  removeSearch,
+  mergeSearches,
+  exportSearches,
+  parseImportedSearches,
+} from './savedSearches';
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => { data[k] = String(v); } };
+};
+
+test('filters are coerced and unknown keys dropped', () => {
+  expect(normalizeFilters({ q: 'tesla', minCountries: '5', doTranslate: 'yes', extra: 1 })).toEqual({
+    ...FILTER_DEFAULTS,
+    q: 'tesla',
+    minCountries: 5,
+  });
+  expect(normalizeFilters(null)).toEqual(FILTER_DEFAULTS);
+});
+
+test('save replaces by name (case-insensitive), keeps ids, sorts by name', () => {
+  let list = upsertSearch([], 'Ukraine', { q: 'ukraine' });
+  list = upsertSearch(list, 'AI news', { q: 'ai', category: 'technology' });
+  const id = list.find((s) => s.name === 'Ukraine').id;
+  list = upsertSearch(list, 'ukraine ', { q: 'kyiv' });
+  expect(list.map((s) => s.name)).toEqual(['AI news', 'ukraine']);
+  expect(list[1]).toMatchObject({ id, filters: { q: 'kyiv' } });
+  expect(upsertSearch(list, '   ', {})).toBe(list);
+  expect(removeSearch(list, id).map((s) => s.name)).toEqual(['AI news']);
+});
+
+test('round-trips through storage and survives junk', () => {
+  const storage = memoryStorage();
+  const list = upsertSearch([], 'Sports', { category: 'sports', minArticles: 4 });
+  persistSavedSearches(list, storage);
+  expect(loadSavedSearches(storage)).toEqual(list);
+
+  storage.setItem('newsglobe.savedSearches', '{not json');
+  expect(loadSavedSearches(storage)).toEqual([]);
+});
+
+test('export → import merges, imported entries win name clashes', () => {
+  const mine = upsertSearch(upsertSearch([], 'Climate', { q: 'climate' }), 'Local', { q: 'town' });
+  const theirs = upsertSearch([], 'Climate', { q: 'climate change', minCountries: 3 });
+  const incoming = parseImportedSearches(exportSearches(theirs));
+  const merged = mergeSearches(mine, incoming);
+  expect(merged.map((s) => [s.name, s.filters.q])).toEqual([['Climate', 'climate change'], ['Local', 'town']]);
+  expect(merged[0].filters.minCountries).toBe(3);
+});
+
+test('import rejects files that are not saved searches', () => {
+  expect(() => parseImportedSearches('nope')).toThrow(/valid JSON/);
+  expect(() => parseImportedSearches('{"foo": 1}')).toThrow(/No saved searches/);
+  expect(() => parseImportedSearches('{"version": 99, "searches": [{"name": "x"}]}')).toThrow(/newer version/);
+  expect(parseImportedSearches('[{"name": "Bare", "filters": {"q": "x"}}]')[0].filters.q).toBe('x');
+});
@@ -0,0 +1,51 @@
+// src/streamClient.js
+// Push alternative to live polling: subscribes to a server-sent events stream of new
+// articles and event updates. EventSource reconnects by itself; we only report status.
+
+// Named SSE events the stream sends (see api/_mock/stream-server.mjs)
+//   event: articles   data: { "items": [ …article rows as in /news… ] }
+//   event: events     data: { "events": [ … ], "cache_key": "…" }
+//   event: done       data: {}   (the server has nothing more to send; don't reconnect)
+
+const parse = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.error("Stream frame is not JSON:", raw?.slice?.(0, 200));
+    return null;
+  }
+};
+
+/**
+ * Open the stream at `url`. Handlers: `onArticles(items)`, `onEvents(data)`,
+ * `onStatus("connecting" | "open" | "error" | "ended" | "unsupported")`. Returns a close function.
+ */
+export function openStream(url, { onArticles, onEvents, onStatus, EventSourceImpl = window.EventSource } = {}) {
+  if (!EventSourceImpl) {
+    onStatus?.("unsupported");
+    return () => {};
+  }
+
+  onStatus?.("connecting");
+  const source = new EventSourceImpl(url);
+
+  source.onopen = () => onStatus?.("open");
+  // Fires on every dropped connection; the browser retries unless the server closed for good
+  source.onerror = () => onStatus?.(source.readyState === 2 ? "error" : "connecting");
+
+  source.addEventListener("articles", (e) => {
+    const data = parse(e.data);
+    const items = Array.isArray(data) ? data : data?.items;
+    if (Array.isArray(items) && items.length) onArticles?.(items);
+  });
+  source.addEventListener("events", (e) => {
+    const data = parse(e.data);
+    if (data && Array.isArray(data.events)) onEvents?.(data);
+  });
+  source.addEventListener("done", () => {
+    source.close(); // otherwise EventSource reconnects and the server starts over
+    onStatus?.("ended");
+  });
+
+  return () => source.close();
+}
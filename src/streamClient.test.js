@@ -0,0 +1,65 @@
+import { openStream } from './streamClient';
+
+// Stand-in for the browser EventSource
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = {};
+    FakeEventSource.last = this;
+  }
+  addEventListener(type, fn) {
+    (this.listeners[type] ||= []).push(fn);
+  }
+  emit(type, data) {
+    (this.listeners[type] || []).forEach((fn) => fn({ data: typeof data === 'string' ? data : JSON.stringify(data) }));
+  }
+  close() {
+    this.readyState = 2;
+    this.closed = true;
+  }
+}
+
+test('routes named frames to handlers and reports status', () => {
+  const onArticles = jest.fn();
+  const onEvents = jest.fn();
+  const onStatus = jest.fn();
+  const close = openStream('/stream?q=x', { onArticles, onEvents, onStatus, EventSourceImpl: FakeEventSource });
+  const es = FakeEventSource.last;
+  expect(es.url).toBe('/stream?q=x');
+
+  es.onopen();
+  es.emit('articles', { items: [{ id: 1 }] });
+  es.emit('articles', { items: [] });
+  es.emit('events', { events: [{ event_id: 'e' }], cache_key: 'k' });
+  es.onerror();
+  expect(onArticles).toHaveBeenCalledTimes(1);
+  expect(onArticles).toHaveBeenCalledWith([{ id: 1 }]);
+  expect(onEvents).toHaveBeenCalledWith({ events: [{ event_id: 'e' }], cache_key: 'k' });
+  expect(onStatus.mock.calls.map(([s]) => s)).toEqual(['connecting', 'open', 'connecting']);
+
+  close();
+  expect(es.closed).toBe(true);
+});
+
+test('a done frame closes the stream instead of letting it reconnect', () => {
+  const onStatus = jest.fn();
+  openStream('/stream', { onStatus, EventSourceImpl: FakeEventSource });
+  const es = FakeEventSource.last;
+  es.emit('done', {});
+  expect(es.closed).toBe(true);
+  expect(onStatus).toHaveBeenLastCalledWith('ended');
+});
+
+test('bad frames are skipped and missing EventSource is reported', () => {
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const onArticles = jest.fn();
+  openStream('/stream', { onArticles, EventSourceImpl: FakeEventSource });
+  FakeEventSource.last.emit('articles', '{oops');
+  expect(onArticles).not.toHaveBeenCalled();
+  spy.mockRestore();
+
+  const onStatus = jest.fn();
+  openStream('/stream', { onStatus, EventSourceImpl: null });
+  expect(onStatus).toHaveBeenCalledWith('unsupported');
+});
@@ -0,0 +1,106 @@
+// src/telemetry.js
+// Numbers for the metrics pipeline: Web Vitals, globe frame times while the camera
+// moves, and how many entities each layer holds. Durations are milliseconds.
+
+const LONG_FRAME_MS = 50; // a frame this slow reads as a visible hitch
+
+export const roundMs = (ms) => Math.round(ms * 10) / 10;
+
+/** Nearest-rank percentile of an ascending array (`p` in 0..100). */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/** `{ frames, fps, frame_ms_p50, frame_ms_p95, frame_ms_p99, frame_ms_max, long_frames }` for frame durations (ms). */
+export function summarizeFrames(frameMs) {
+  const sorted = frameMs.filter((ms) => Number.isFinite(ms) && ms > 0).sort((a, b) => a - b);
+  const total = sorted.reduce((s, ms) => s + ms, 0);
+  return {
+    frames: sorted.length,
+    fps: total ? Math.round((sorted.length / total) * 10000) / 10 : null,
+    frame_ms_p50: sorted.length ? roundMs(percentile(sorted, 50)) : null,
+    frame_ms_p95: sorted.length ? roundMs(percentile(sorted, 95)) : null,
+    frame_ms_p99: sorted.length ? roundMs(percentile(sorted, 99)) : null,
+    frame_ms_max: sorted.length ? roundMs(sorted[sorted.length - 1]) : null,
+    long_frames: sorted.filter((ms) => ms > LONG_FRAME_MS).length,
+  };
+}
+
+/** Entities on the globe: `total` plus one count per layer (country pins and each named data source). */
+export function countEntities(viewer) {
+  const counts = { total: 0, pins: viewer?.entities?.values?.length || 0 };
+  counts.total += counts.pins;
+  const sources = viewer?.dataSources;
+  for (let i = 0; i < (sources?.length || 0); i++) {
+    const ds = sources.get(i);
+    const n = ds.entities?.values?.length || 0;
+    counts[ds.name || `source${i}`] = n;
+    counts.total += n;
+  }
+  return counts;
+}
+
+/** A web-vitals callback value as a metric (CLS is unitless; the others are ms). */
+export function webVitalMetric({ name, value, delta, id }) {
+  const unitless = name === "CLS";
+  const round = unitless ? (v) => Math.round(v * 10000) / 10000 : roundMs;
+  return {
+    name: `Web Vital ${name}`,
+    kind: "web-vital",
+    vital: name,
+    value: round(value),
+    delta: round(delta),
+    unit: unitless ? "score" : "ms",
+    id,
+  };
+}
+
+/**
+ * Record frame durations while the camera moves (drag, zoom, flyTo) and hand one
+ * summary per movement to `onSample` (long movements are cut every `maxMs`).
+ * Movements shorter than `minFrames` frames are ignored. Returns `{ destroy }`.
+ */
+export function sampleFramesDuringMotion(viewer, { onSample, minFrames = 10, maxMs = 10000, now = () => performance.now() } = {}) {
+  const { scene, camera } = viewer;
+  let frames = null; // null while the camera is still
+  let last = 0;
+  let started = 0;
+
+  const finish = () => {
+    if (frames && frames.length >= minFrames) {
+      onSample({ ...summarizeFrames(frames), duration_ms: roundMs(now() - started), entities: countEntities(viewer) });
+    }
+    frames = null;
+  };
+
+  const begin = () => {
+    frames = [];
+    started = last = now();
+  };
+
+  const onFrame = () => {
+    if (!frames) return;
+    const t = now();
+    frames.push(t - last);
+    last = t;
+    if (t - started >= maxMs) {
+      finish();
+      begin();
+    }
+  };
+
+  const removers = [
+    scene.postRender.addEventListener(onFrame),
+    camera.moveStart.addEventListener(begin),
+    camera.moveEnd.addEventListener(finish),
+  ];
+
+  return {
+    destroy() {
+      removers.forEach((remove) => remove());
+      frames = null;
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import { percentile, summarizeFrames, countEntities, webVitalMetric, sampleFramesDuringMotion } from './telemetry';
+
+// Minimal Cesium Event: addEventListener returns a remover
+const cesiumEvent = () => {
+  const listeners = new Set();
+  return {
+    addEventListener(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    raise: () => listeners.forEach((fn) => fn()),
+    get size() {
+      return listeners.size;
+    },
+  };
+};
+
+const entities = (n) => ({ values: new Array(n).fill({}) });
+
+test('percentiles use nearest rank', () => {
+  const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  expect(percentile(sorted, 50)).toBe(5);
+  expect(percentile(sorted, 95)).toBe(10);
+  expect(percentile([], 50)).toBeNull();
+});
+
+test('summarizes frame times into fps and percentiles', () => {
+  const s = summarizeFrames([16, 16, 17, 16, 60, 16, 15, 16, 17, 16]);
+  expect(s.frames).toBe(10);
+  expect(s.fps).toBeCloseTo(48.8, 1);
+  expect(s.frame_ms_p50).toBe(16);
+  expect(s.frame_ms_max).toBe(60);
+  expect(s.long_frames).toBe(1);
+  expect(summarizeFrames([]).fps).toBeNull();
+});
+
+test('counts entities per layer', () => {
+  const sources = [{ name: 'articles', entities: entities(5) }, { name: 'heatmap', entities: entities(2) }];
+  const viewer = { entities: entities(3), dataSources: { length: 2, get: (i) => sources[i] } };
+  expect(countEntities(viewer)).toEqual({ total: 10, pins: 3, articles: 5, heatmap: 2 });
+});
+
+test('web vitals keep CLS unitless and round ms values', () => {
+  expect(webVitalMetric({ name: 'LCP', value: 1234.567, delta: 1234.567, id: 'v1' })).toEqual({
+    name: 'Web Vital LCP', kind: 'web-vital', vital: 'LCP', value: 1234.6, delta: 1234.6, unit: 'ms', id: 'v1',
+  });
+  expect(webVitalMetric({ name: 'CLS', value: 0.123456, delta: 0.1, id: 'v2' }).unit).toBe('score');
+});
+
+test('samples frames only while the camera moves', () => {
+  let t = 0;
+  const viewer = {
+    scene: { postRender: cesiumEvent() },
+    camera: { moveStart: cesiumEvent(), moveEnd: cesiumEvent() },
+    entities: entities(4),
+  };
+  const onSample = jest.fn();
+  const sampler = sampleFramesDuringMotion(viewer, { onSample, minFrames: 3, now: () => t });
+
+  const frame = (ms) => {
+    t += ms;
+    viewer.scene.postRender.raise();
+  };
+  frame(16); // camera still: ignored
+  viewer.camera.moveStart.raise();
+  [20, 20, 40, 20].forEach(frame);
+  viewer.camera.moveEnd.raise();
+
+  expect(onSample).toHaveBeenCalledTimes(1);
+  const sample = onSample.mock.calls[0][0];
+  expect(sample.frames).toBe(4);
+  expect(sample.frame_ms_max).toBe(40);
+  expect(sample.duration_ms).toBe(100);
+  expect(sample.entities.total).toBe(4);
+
+  viewer.camera.moveStart.raise();
+  frame(16);
+  viewer.camera.moveEnd.raise(); // too few frames
+  expect(onSample).toHaveBeenCalledTimes(1);
+
+  sampler.destroy();
+  expect(viewer.scene.postRender.size).toBe(0);
+});
@@ -0,0 +1,124 @@
+// src/urlState.js
+// Shareable URL state: filters, selected event and camera live in the query string.
+// Filters/camera use replaceState; event selections use pushState so back/forward work.
+
+// Query param names (kept short – these links get pasted around)
+const P = {
+  q: "q",
+  category: "category",
+  language: "lang",
+  datePreset: "range",  // rolling window id ("24h", "7d", …)
+  dateStart: "start",
+  dateEnd: "end",
+  translateTo: "translate",
+  minCountries: "min_countries",
+  minArticles: "min_articles",
+  event: "event",
+  camera: "cam",
+};
+
+// Values equal to these are left out of the URL
+const DEFAULTS = { minCountries: 2, minArticles: 2 };
+
+const toInt = (v) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+// ---------- Camera ----------
+// "lat,lon,height[,heading,pitch]" in degrees/meters
+function parseCamera(str) {
+  if (!str) return undefined;
+  const [lat, lon, height, heading = 0, pitch = -90] = str.split(",").map(Number);
+  if (![lat, lon, height, heading, pitch].every(Number.isFinite)) return undefined;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180 || height <= 0) return undefined;
+  return { lat, lon, height, heading, pitch };
+}
+
+function formatCamera(cam) {
+  const r = (x, d) => Number(x.toFixed(d));
+  const parts = [r(cam.lat, 4), r(cam.lon, 4), Math.round(cam.height)];
+  const heading = r(cam.heading ?? 0, 1);
+  const pitch = r(cam.pitch ?? -90, 1);
+  if (heading !== 0 || pitch !== -90) parts.push(heading, pitch);
+  return parts.join(",");
+}
+
+/** Current camera as `{ lat, lon, height, heading, pitch }` (degrees/meters). */
+export function readCamera(viewer) {
+  const Cesium = window.Cesium;
+  const c = viewer.camera.positionCartographic;
+  return {
+    lat: Cesium.Math.toDegrees(c.latitude),
+    lon: Cesium.Math.toDegrees(c.longitude),
+    height: c.height,
+    heading: Cesium.Math.toDegrees(viewer.camera.heading),
+    pitch: Cesium.Math.toDegrees(viewer.camera.pitch),
+  };
+}
+
+/** Jump (or fly, when `fly` is set) to a camera from `readUrlState().camera`. */
+export function applyCamera(viewer, cam, { fly = false } = {}) {
+  if (!cam) return;
+  const Cesium = window.Cesium;
+  const opts = {
+    destination: Cesium.Cartesian3.fromDegrees(cam.lon, cam.lat, cam.height),
+    orientation: {
+      heading: Cesium.Math.toRadians(cam.heading ?? 0),
+      pitch: Cesium.Math.toRadians(cam.pitch ?? -90),
+      roll: 0,
+    },
+  };
+  if (fly) viewer.camera.flyTo(opts);
+  else viewer.camera.setView(opts);
+}
+
+// ---------- Read / write ----------
+/** Parse app state out of a location (or search string). Missing keys stay undefined. */
+export function readUrlState(location = window.location) {
+  const search = typeof location === "string" ? location : location.search;
+  const params = new URLSearchParams(search);
+  const get = (k) => {
+    const v = params.get(P[k]);
+    return v == null || v === "" ? undefined : v;
+  };
+
+  return {
+    q: get("q"),
+    category: get("category"),
+    language: get("language"),
+    datePreset: get("datePreset"),
+    dateStart: get("dateStart"),
+    dateEnd: get("dateEnd"),
+    translateTo: get("translateTo"),
+    minCountries: toInt(get("minCountries")),
+    minArticles: toInt(get("minArticles")),
+    event: get("event"),
+    camera: parseCamera(get("camera")),
+  };
+}
+
+/**
+ * Merge `patch` into the current query string. Keys set to null/""/default are removed,
+ * keys not in `patch` are kept. `push` creates a history entry; otherwise it is replaced.
+ */
+export function writeUrlState(patch, { push = false } = {}) {
+  const url = new URL(window.location.href);
+  const params = url.searchParams;
+
+  for (const [k, v] of Object.entries(patch)) {
+    const name = P[k];
+    if (!name) continue;
+    const value = k === "camera" && v ? formatCamera(v) : v;
+    if (value == null || value === "" || value === false || DEFAULTS[k] === value) params.delete(name);
+    else params.set(name, String(value));
+  }
+
+  const next = `${url.pathname}${params.toString() ? `?${params.toString()}` : ""}${url.hash}`;
+  const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  if (next === current) return;
+
+  const state = { event: params.get(P.event) || null };
+  if (push) window.history.pushState(state, "", next);
+  else window.history.replaceState(state, "", next);
+}
@@ -0,0 +1,39 @@
+import { readUrlState, writeUrlState } from './urlState';
+
+beforeEach(() => window.history.replaceState(null, '', '/'));
+
+test('round-trips filters, event and camera through the query string', () => {
+  writeUrlState({
+    q: 'Ukraine',
+    translateTo: 'en',
+    minCountries: 3,
+    minArticles: 2, // default → omitted
+    event: 'ev42',
+    camera: { lat: 50.1234567, lon: 10.5, height: 4500000.4, heading: 0, pitch: -90 },
+  });
+  expect(window.location.search).toBe('?q=Ukraine&translate=en&min_countries=3&event=ev42&cam=50.1235%2C10.5%2C4500000');
+
+  expect(readUrlState()).toMatchObject({
+    q: 'Ukraine',
+    translateTo: 'en',
+    minCountries: 3,
+    minArticles: undefined,
+    event: 'ev42',
+    camera: { lat: 50.1235, lon: 10.5, height: 4500000 },
+  });
+});
+
+test('push adds a history entry, replace does not; cleared keys are dropped', () => {
+  const before = window.history.length;
+  writeUrlState({ event: 'a' }, { push: true });
+  writeUrlState({ event: 'b' }, { push: true });
+  writeUrlState({ q: 'x' });
+  expect(window.history.length).toBe(before + 2);
+
+  writeUrlState({ event: null, q: '' });
+  expect(window.location.search).toBe('');
+});
+
+test('ignores malformed values', () => {
+  expect(readUrlState('?cam=abc&min_countries=-1')).toMatchObject({ camera: undefined, minCountries: undefined });
+});